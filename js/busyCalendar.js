@@ -0,0 +1,73 @@
+/**
+ * 読み込んだ.icsファイルの予定（空き時間の判定用）を管理するクラス
+ */
+class BusyCalendar {
+    constructor(parser = new IcsParser()) {
+        this.parser = parser;
+        this.sources = [];
+    }
+
+    /**
+     * .icsファイルの内容を追加（同名のファイルは置き換え）
+     * @param {string} name - ファイル名
+     * @param {string} text - .icsファイルの内容
+     * @returns {number} - 読み取った予定の件数
+     */
+    addSource(name, text) {
+        const events = this.parser.parse(text);
+        if (events.length === 0) {
+            throw new Error(`${name} に予定（VEVENT）が見つかりません`);
+        }
+
+        this.removeSource(name);
+        this.sources.push({ name, text, events });
+        return events.length;
+    }
+
+    /**
+     * 指定したファイルの予定を削除
+     */
+    removeSource(name) {
+        this.sources = this.sources.filter(source => source.name !== name);
+    }
+
+    /**
+     * すべての予定を削除
+     */
+    clear() {
+        this.sources = [];
+    }
+
+    /**
+     * 読み込み済みのファイル一覧
+     * @returns {Array<{name: string, eventCount: number}>}
+     */
+    getSources() {
+        return this.sources.map(source => ({ name: source.name, eventCount: source.events.length }));
+    }
+
+    /**
+     * 指定期間に重なる予定を取得（「予定なし」として登録された予定は除く）
+     * @param {Date} rangeStart - 期間の開始
+     * @param {Date} rangeEnd - 期間の終了（この時刻を含まない）
+     */
+    getOccurrences(rangeStart, rangeEnd) {
+        const occurrences = [];
+
+        this.sources.forEach(source => {
+            const busyEvents = source.events.filter(event => event.transparency !== 'TRANSPARENT');
+            occurrences.push(...this.parser.expand(busyEvents, rangeStart, rangeEnd));
+        });
+
+        return occurrences.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * 時間帯と重なる予定を取得
+     * @param {Date} start - 開始時刻
+     * @param {Date} end - 終了時刻
+     */
+    findConflicts(start, end) {
+        return this.getOccurrences(start, end).filter(occurrence => occurrence.end > occurrence.start);
+    }
+}
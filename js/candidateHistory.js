@@ -0,0 +1,72 @@
+/**
+ * 候補リストの変更履歴（元に戻す・やり直す）を管理するクラス
+ * 変更前の候補リストをスナップショットとして保持する
+ */
+class CandidateHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * 候補リストを複製（日付は別のDateにする）
+     */
+    _snapshot(candidates) {
+        return candidates.map(candidate => ({ ...candidate, date: new Date(candidate.date) }));
+    }
+
+    /**
+     * 変更前の候補リストを記録（やり直しの履歴は破棄）
+     * @param {Array} candidates - 変更前の候補の配列
+     */
+    record(candidates) {
+        this.undoStack.push(this._snapshot(candidates));
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * 1つ前の状態に戻す
+     * @param {Array} current - 現在の候補の配列
+     * @returns {Array|null} - 戻した後の候補の配列（履歴が無い場合null）
+     */
+    undo(current) {
+        if (this.undoStack.length === 0) {
+            return null;
+        }
+        this.redoStack.push(this._snapshot(current));
+        return this.undoStack.pop();
+    }
+
+    /**
+     * 元に戻した変更をやり直す
+     * @param {Array} current - 現在の候補の配列
+     * @returns {Array|null} - やり直した後の候補の配列（履歴が無い場合null）
+     */
+    redo(current) {
+        if (this.redoStack.length === 0) {
+            return null;
+        }
+        this.undoStack.push(this._snapshot(current));
+        return this.redoStack.pop();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 履歴をすべて破棄（下書きの切り替え時など）
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * 会社独自の休業日（年末年始・創立記念日など）を管理するクラス
+ * HolidayService のプロバイダーと同じメンバーを持ち、国の祝日と同じように判定される
+ *
+ * 休業日の形式（日付は YYYY-MM-DD、毎年の場合は MM-DD）:
+ *   { type: 'date', start, label }        - 指定した1日
+ *   { type: 'range', start, end, label }  - 期間（両端を含む）
+ *   { type: 'yearly', start, end, label } - 毎年の日・期間（12-29〜01-03 のように年をまたいでもよい）
+ */
+class CompanyClosures {
+    constructor(store) {
+        this.id = 'company';
+        this.store = store;
+        this.storageKey = 'companyClosures';
+        this.types = ['date', 'range', 'yearly'];
+        this.closures = [];
+        this.lastId = 0;
+
+        (this.store.load(this.storageKey, []) || []).forEach(closure => {
+            try {
+                this._push(closure);
+            } catch (error) {
+                console.warn('⚠️ 保存済みの休業日を読み込めません:', error.message);
+            }
+        });
+    }
+
+    /**
+     * データの読み込み（ブラウザに保存済みのため何もしない）
+     */
+    async load() {}
+
+    /**
+     * 登録済みの休業日一覧
+     * @returns {Array<{id: number, type: string, start: string, end: string, label: string}>}
+     */
+    getClosures() {
+        return this.closures.map(closure => ({ ...closure }));
+    }
+
+    /**
+     * 休業日を追加して保存
+     * @param {Object} closure - 休業日（type, start, end, label）
+     * @returns {Object} - 追加した休業日（id付き）
+     */
+    add(closure) {
+        const added = this._push(closure);
+        this.save();
+        return { ...added };
+    }
+
+    /**
+     * 休業日を削除して保存
+     */
+    remove(id) {
+        this.closures = this.closures.filter(closure => closure.id !== id);
+        this.save();
+    }
+
+    /**
+     * ブラウザに保存
+     */
+    save() {
+        this.store.save(this.storageKey, this.closures.map(closure => this._toJSON(closure)));
+    }
+
+    /**
+     * 指定した日付の休業日名を取得
+     * @param {Date} date - 対象の日付
+     * @returns {string|null} - 休業日名（複数ある場合は「 / 」でつなぐ、休業日でない場合null）
+     */
+    getHolidayName(date) {
+        const dateKey = this.getDateKey(date);
+        const labels = this.closures
+            .filter(closure => this._matches(closure, dateKey))
+            .map(closure => closure.label);
+        return labels.length > 0 ? labels.join(' / ') : null;
+    }
+
+    /**
+     * 指定年の休業日一覧を取得
+     * @returns {Array<{date: string, name: string}>}
+     */
+    getHolidays(year) {
+        const holidays = [];
+        for (let date = new Date(year, 0, 1); date.getFullYear() === year; date.setDate(date.getDate() + 1)) {
+            const name = this.getHolidayName(date);
+            if (name) {
+                holidays.push({ date: this.getDateKey(date), name });
+            }
+        }
+        return holidays;
+    }
+
+    /**
+     * JSON形式で書き出し
+     */
+    exportJSON() {
+        return JSON.stringify({
+            version: 1,
+            closures: this.closures.map(closure => this._toJSON(closure))
+        }, null, 2);
+    }
+
+    /**
+     * JSON形式の休業日を読み込み（登録済みと同じものは追加しない）
+     * 1件でも形式が正しくない場合は何も追加しない
+     * @param {string} text - exportJSON() の形式、または休業日の配列
+     * @returns {number} - 追加した件数
+     */
+    importJSON(text) {
+        const data = JSON.parse(text);
+        const closures = Array.isArray(data) ? data : data && data.closures;
+        if (!Array.isArray(closures)) {
+            throw new Error('休業日の一覧（closures）が見つかりません');
+        }
+
+        const normalized = closures.map(closure => this.normalize(closure));
+        const existing = new Set(this.closures.map(closure => JSON.stringify(this._toJSON(closure))));
+        let addedCount = 0;
+
+        normalized.forEach(closure => {
+            const key = JSON.stringify(this._toJSON(closure));
+            if (existing.has(key)) return;
+            existing.add(key);
+            this._push(closure);
+            addedCount++;
+        });
+
+        this.save();
+        return addedCount;
+    }
+
+    /**
+     * 休業日の形式を検証して整える（正しくない場合は例外）
+     * @returns {{type: string, start: string, end: string, label: string}}
+     */
+    normalize(closure) {
+        if (!closure || !this.types.includes(closure.type)) {
+            throw new Error(`休業日の種類が正しくありません: ${closure && closure.type}`);
+        }
+
+        const label = typeof closure.label === 'string' ? closure.label.trim() : '';
+        if (!label) {
+            throw new Error('休業日の名前がありません');
+        }
+
+        const isValid = closure.type === 'yearly' ? this._isValidMonthDay : this._isValidDateKey;
+        const start = closure.start;
+        const end = closure.type === 'date' ? start : (closure.end || start);
+        if (!isValid.call(this, start) || !isValid.call(this, end)) {
+            throw new Error(`休業日の日付が正しくありません: ${label}`);
+        }
+        if (closure.type === 'range' && end < start) {
+            throw new Error(`休業日の終了日が開始日より前です: ${label}`);
+        }
+
+        return { type: closure.type, start, end, label };
+    }
+
+    /**
+     * 日付キー（YYYY-MM-DD）を取得（ローカルの年月日から作る）
+     */
+    getDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 検証して一覧に追加（保存はしない）
+     */
+    _push(closure) {
+        const normalized = { id: ++this.lastId, ...this.normalize(closure) };
+        this.closures.push(normalized);
+        return normalized;
+    }
+
+    /**
+     * 保存・書き出し用の形式（idを除く）
+     */
+    _toJSON(closure) {
+        return { type: closure.type, start: closure.start, end: closure.end, label: closure.label };
+    }
+
+    /**
+     * 指定した日付キーが休業日に含まれるか
+     */
+    _matches(closure, dateKey) {
+        if (closure.type !== 'yearly') {
+            return closure.start <= dateKey && dateKey <= closure.end;
+        }
+
+        // 毎年の場合は月日で比較（開始が終了より後なら年をまたぐ期間）
+        const monthDay = dateKey.slice(5);
+        if (closure.start <= closure.end) {
+            return closure.start <= monthDay && monthDay <= closure.end;
+        }
+        return monthDay >= closure.start || monthDay <= closure.end;
+    }
+
+    /**
+     * YYYY-MM-DD 形式の存在する日付か
+     */
+    _isValidDateKey(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return false;
+        return this.getDateKey(new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) === value;
+    }
+
+    /**
+     * MM-DD 形式の存在する月日か（2月29日を含む）
+     */
+    _isValidMonthDay(value) {
+        return typeof value === 'string' && this._isValidDateKey(`2000-${value}`);
+    }
+}
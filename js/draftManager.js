@@ -0,0 +1,270 @@
+/**
+ * 下書き（名前付きの候補リスト）を管理するクラス
+ * 候補はlocalStorageに自動保存され、再読み込み後に復元される
+ */
+class DraftManager {
+    constructor(store) {
+        this.store = store;
+        this.storageKey = 'drafts';
+        // 候補の注記（メモ・場所・会議形式）
+        this.annotationKeys = ['note', 'location', 'meetingType'];
+        this.state = this._loadState();
+    }
+
+    /**
+     * 保存済みの状態を読み込み（無ければ空の下書きを1件作成）
+     */
+    _loadState() {
+        const saved = this.store.load(this.storageKey);
+        const drafts = saved && Array.isArray(saved.drafts)
+            ? saved.drafts.filter(draft => draft && draft.id && Array.isArray(draft.candidates))
+            : [];
+
+        if (drafts.length === 0) {
+            const draft = this._createDraftData(this.generateName(drafts));
+            return { activeId: draft.id, drafts: [draft] };
+        }
+
+        const activeId = drafts.some(draft => draft.id === saved.activeId)
+            ? saved.activeId
+            : drafts[0].id;
+
+        return { activeId, drafts };
+    }
+
+    /**
+     * 状態を保存
+     */
+    _persist() {
+        this.store.save(this.storageKey, this.state);
+    }
+
+    /**
+     * 下書きデータを生成
+     */
+    _createDraftData(name, candidates = []) {
+        return {
+            id: `draft-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            name: name,
+            candidates: candidates,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 未使用の既定名を生成（下書き1、下書き2…）
+     */
+    generateName(drafts = this.state.drafts) {
+        const names = new Set(drafts.map(draft => draft.name));
+        let index = drafts.length + 1;
+        while (names.has(`下書き${index}`)) {
+            index++;
+        }
+        return `下書き${index}`;
+    }
+
+    /**
+     * 下書き一覧を取得
+     * @returns {Array<{id: string, name: string, count: number, updatedAt: string}>}
+     */
+    getDrafts() {
+        return this.state.drafts.map(draft => ({
+            id: draft.id,
+            name: draft.name,
+            count: draft.candidates.length,
+            updatedAt: draft.updatedAt
+        }));
+    }
+
+    /**
+     * 選択中の下書きを取得
+     */
+    getActiveDraft() {
+        return this.state.drafts.find(draft => draft.id === this.state.activeId);
+    }
+
+    /**
+     * 選択中の下書きの候補を復元
+     * @returns {Array} - Dateを復元した候補の配列
+     */
+    getActiveCandidates() {
+        const draft = this.getActiveDraft();
+        if (!draft) {
+            return [];
+        }
+
+        return draft.candidates
+            .map(data => this.deserializeCandidate(data))
+            .filter(candidate => candidate !== null);
+    }
+
+    /**
+     * 選択中の下書きに候補を保存
+     * @param {Array} candidates - 候補の配列
+     */
+    saveActiveCandidates(candidates) {
+        const draft = this.getActiveDraft();
+        if (!draft) {
+            return;
+        }
+
+        draft.candidates = candidates.map(candidate => this.serializeCandidate(candidate));
+        draft.updatedAt = new Date().toISOString();
+        this._persist();
+    }
+
+    /**
+     * 新しい下書きを作成して選択
+     * @param {string} name - 下書き名
+     * @param {Array} candidates - 初期の候補
+     */
+    createDraft(name = this.generateName(), candidates = []) {
+        const draft = this._createDraftData(
+            name,
+            candidates.map(candidate => this.serializeCandidate(candidate))
+        );
+        this.state.drafts.push(draft);
+        this.state.activeId = draft.id;
+        this._persist();
+        return draft;
+    }
+
+    /**
+     * 下書きを切り替え
+     */
+    switchDraft(id) {
+        if (!this.state.drafts.some(draft => draft.id === id)) {
+            return false;
+        }
+
+        this.state.activeId = id;
+        this._persist();
+        return true;
+    }
+
+    /**
+     * 下書き名を変更
+     */
+    renameDraft(id, name) {
+        const draft = this.state.drafts.find(d => d.id === id);
+        const trimmed = (name || '').trim();
+        if (!draft || !trimmed) {
+            return false;
+        }
+
+        draft.name = trimmed;
+        this._persist();
+        return true;
+    }
+
+    /**
+     * 下書きを複製して選択
+     */
+    duplicateDraft(id) {
+        const source = this.state.drafts.find(d => d.id === id);
+        if (!source) {
+            return null;
+        }
+
+        const draft = this._createDraftData(
+            `${source.name} のコピー`,
+            source.candidates.map(candidate => ({ ...candidate }))
+        );
+        const index = this.state.drafts.indexOf(source);
+        this.state.drafts.splice(index + 1, 0, draft);
+        this.state.activeId = draft.id;
+        this._persist();
+        return draft;
+    }
+
+    /**
+     * 下書きを削除（最後の1件を削除した場合は空の下書きを作り直す）
+     */
+    deleteDraft(id) {
+        const index = this.state.drafts.findIndex(d => d.id === id);
+        if (index < 0) {
+            return false;
+        }
+
+        this.state.drafts.splice(index, 1);
+
+        if (this.state.drafts.length === 0) {
+            this.state.drafts.push(this._createDraftData(this.generateName()));
+        }
+
+        if (this.state.activeId === id) {
+            const next = this.state.drafts[Math.min(index, this.state.drafts.length - 1)];
+            this.state.activeId = next.id;
+        }
+
+        this._persist();
+        return true;
+    }
+
+    /**
+     * 候補を保存用の形式に変換（日付はローカル日付のYYYY-MM-DD）
+     */
+    serializeCandidate(candidate) {
+        const date = candidate.date;
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+
+        const data = {
+            id: candidate.id,
+            date: `${year}-${month}-${day}`,
+            startHour: candidate.startHour,
+            startMinute: candidate.startMinute,
+            endHour: candidate.endHour,
+            endMinute: candidate.endMinute
+        };
+
+        if (candidate.isFullDay) {
+            data.isFullDay = true;
+        }
+
+        // 注記（メモ・場所・会議形式）は設定されているものだけ保存
+        this.annotationKeys.forEach(key => {
+            if (candidate[key]) {
+                data[key] = candidate[key];
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * 保存用の形式から候補を復元
+     * @returns {Object|null} - 不正なデータの場合null
+     */
+    deserializeCandidate(data) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(data && data.date);
+        if (!match) {
+            return null;
+        }
+
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        const candidate = {
+            id: data.id,
+            date: date,
+            startHour: Number(data.startHour),
+            startMinute: Number(data.startMinute),
+            endHour: Number(data.endHour),
+            endMinute: Number(data.endMinute),
+            // 月曜始まりの曜日インデックス
+            dayOffset: (date.getDay() + 6) % 7
+        };
+
+        if (data.isFullDay) {
+            candidate.isFullDay = true;
+        }
+
+        this.annotationKeys.forEach(key => {
+            if (typeof data[key] === 'string' && data[key]) {
+                candidate[key] = data[key];
+            }
+        });
+
+        return candidate;
+    }
+}
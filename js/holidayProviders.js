@@ -0,0 +1,97 @@
+/**
+ * 祝日データを提供するクラス（プロバイダー）
+ * 同梱のJSONファイル（scripts/fetch-holidays.js で生成）から祝日を読み込む
+ *
+ * プロバイダーは次のメンバーを持つ（HolidayService から使う）:
+ *   id              - 識別子（設定に保存する。例: jp, us）
+ *   load()          - データを読み込む（非同期、失敗時は例外）
+ *   getHolidayName(date) - 祝日名（祝日でない場合null）
+ *   getHolidays(year)    - 指定年の祝日一覧（[{ date: 'YYYY-MM-DD', name }]）
+ */
+class HolidayProvider {
+    /**
+     * @param {string} id - プロバイダーの識別子
+     * @param {string} dataUrl - 祝日JSONファイルのURL
+     */
+    constructor(id, dataUrl) {
+        this.id = id;
+        this.dataUrl = dataUrl;
+        this.holidayData = null;
+    }
+
+    /**
+     * JSONファイルから祝日データを読み込み
+     */
+    async load() {
+        const response = await fetch(this.dataUrl);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+
+        if (!data.holidays) {
+            throw new Error('Invalid JSON format: missing holidays property');
+        }
+
+        this.holidayData = data;
+
+        // 統計情報をログ出力
+        const years = Object.keys(data.holidays);
+        const totalHolidays = years.reduce((sum, year) => sum + data.holidays[year].length, 0);
+        console.log(`📊 祝日データ読み込み完了（${this.id}）: ${years.length}年分、${totalHolidays}件の祝日`);
+        console.log(`📅 最終更新: ${data.lastUpdated}`);
+    }
+
+    /**
+     * 指定した日付の祝日名を取得
+     * @param {Date} date - 対象の日付
+     * @returns {string|null} - 祝日名（祝日でない場合null）
+     */
+    getHolidayName(date) {
+        const holiday = this.getHolidays(date.getFullYear()).find(holiday => holiday.date === this.getDateKey(date));
+        return holiday ? holiday.name : null;
+    }
+
+    /**
+     * 指定年の祝日一覧を取得
+     */
+    getHolidays(year) {
+        return this.hasYear(year) ? this.holidayData.holidays[year.toString()] : [];
+    }
+
+    /**
+     * 読み込んだデータに指定年の祝日が含まれているか
+     */
+    hasYear(year) {
+        return !!(this.holidayData && this.holidayData.holidays[year.toString()]);
+    }
+
+    /**
+     * 日付キー（YYYY-MM-DD）を取得（ローカルの年月日から作る）
+     */
+    getDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+}
+
+/**
+ * 日本の祝日プロバイダー
+ * 内閣府のデータ（assets/holidays.json）を優先し、含まれない年は計算で求める
+ */
+class JapanHolidayProvider extends HolidayProvider {
+    constructor() {
+        super('jp', './assets/holidays.json');
+        this.calculator = new JapaneseHolidayCalculator();
+    }
+
+    /**
+     * 指定年の祝日一覧を取得（JSONにない年は計算結果）
+     */
+    getHolidays(year) {
+        return this.hasYear(year) ? super.getHolidays(year) : this.calculator.getHolidays(year);
+    }
+}
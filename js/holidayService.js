@@ -1,11 +1,19 @@
 /**
  * 祝日判定サービス
- * JSONファイルから祝日データを読み込み、祝日判定を行う
+ * 国・地域ごとの祝日プロバイダー（holidayProviders.js）をまとめ、
+ * 選択されたカレンダーのいずれかで祝日の日を祝日として判定する
+ * 会社の休業日など常に使うプロバイダーは addCustomProvider() で追加する
  */
 class HolidayService {
-    constructor() {
-        this.holidayData = null;
-        this.fallbackHolidays = null;
+    /**
+     * @param {Array<HolidayProvider>} providers - 利用できるプロバイダー（先頭が既定）
+     */
+    constructor(providers) {
+        this.providers = new Map(providers.map(provider => [provider.id, provider]));
+        this.enabledProviderIds = providers.length > 0 ? [providers[0].id] : [];
+        // カレンダーの選択に関係なく常に判定に使うプロバイダー
+        this.customProviders = [];
+        this.loadedProviderIds = new Set();
         this.isInitialized = false;
         this.initPromise = null;
     }
@@ -18,7 +26,7 @@ class HolidayService {
         if (this.isInitialized) {
             return;
         }
-        
+
         if (this.initPromise) {
             return this.initPromise;
         }
@@ -29,80 +37,53 @@ class HolidayService {
 
     /**
      * 実際の初期化処理
+     * 設定で切り替えたときにすぐ表示できるよう、すべてのプロバイダーを読み込む
      */
     async _performInitialization() {
-        try {
-            console.log('🎌 祝日サービスを初期化中...');
-            
-            // JSONファイルから祝日データを読み込み
-            await this._loadHolidayJSON();
-            
-            this.isInitialized = true;
-            console.log('✅ 祝日サービスの初期化完了');
-            
-        } catch (error) {
-            console.warn('⚠️ JSONファイルの読み込みに失敗、フォールバックモードで動作:', error.message);
-            
-            // フォールバック: ハードコードされた祝日データを使用
-            this._initializeFallbackHolidays();
-            this.isInitialized = true;
-        }
+        console.log('🎌 祝日サービスを初期化中...');
+
+        await Promise.all(this.getProviders().map(async provider => {
+            try {
+                await provider.load();
+                this.loadedProviderIds.add(provider.id);
+            } catch (error) {
+                // 日本のプロバイダーは計算で判定を続けられる
+                console.warn(`⚠️ 祝日データ（${provider.id}）の読み込みに失敗:`, error.message);
+            }
+        }));
+
+        this.isInitialized = true;
+        console.log('✅ 祝日サービスの初期化完了');
     }
 
     /**
-     * JSONファイルから祝日データを読み込み
+     * 利用できるプロバイダーの一覧を取得
      */
-    async _loadHolidayJSON() {
-        const response = await fetch('./assets/holidays.json');
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        
-        if (!data.holidays) {
-            throw new Error('Invalid JSON format: missing holidays property');
-        }
-        
-        this.holidayData = data;
-        
-        // 統計情報をログ出力
-        const years = Object.keys(data.holidays);
-        const totalHolidays = years.reduce((sum, year) => sum + data.holidays[year].length, 0);
-        console.log(`📊 祝日データ読み込み完了: ${years.length}年分、${totalHolidays}件の祝日`);
-        console.log(`📅 最終更新: ${data.lastUpdated}`);
+    getProviders() {
+        return Array.from(this.providers.values());
     }
 
     /**
-     * フォールバック用のハードコード祝日データを初期化
+     * 常に判定に使うプロバイダー（会社の休業日など）を追加
      */
-    _initializeFallbackHolidays() {
-        const currentYear = new Date().getFullYear();
-        
-        this.fallbackHolidays = {
-            // 基本的な固定祝日のみ
-            fixedHolidays: [
-                '1-1',   // 元日
-                '2-11',  // 建国記念の日
-                '4-29',  // 昭和の日
-                '5-3',   // 憲法記念日
-                '5-4',   // みどりの日
-                '5-5',   // こどもの日
-                '8-11',  // 山の日
-                '11-3',  // 文化の日
-                '11-23', // 勤労感謝の日
-                '12-23'  // 天皇誕生日
-            ]
-        };
-        
-        console.log('🔄 フォールバックモード: 基本的な固定祝日のみ対応');
+    addCustomProvider(provider) {
+        this.customProviders.push(provider);
+        return this;
+    }
+
+    /**
+     * 祝日の判定に使うカレンダーを設定
+     * @param {Array<string>} ids - プロバイダーの識別子（未知のものは無視）
+     */
+    setEnabledProviders(ids) {
+        this.enabledProviderIds = (ids || []).filter(id => this.providers.has(id));
+        return this;
     }
 
     /**
      * 指定した日付が祝日かどうかを判定
      * @param {Date} date - 判定する日付
-     * @returns {boolean} - 祝日の場合true
+     * @returns {boolean} - 選択中のいずれかのカレンダーで祝日の場合true
      */
     isHoliday(date) {
         if (!this.isInitialized) {
@@ -110,87 +91,33 @@ class HolidayService {
             return false;
         }
 
-        // JSONデータが利用可能な場合
-        if (this.holidayData) {
-            return this._isHolidayFromJSON(date);
-        }
-        
-        // フォールバックの場合
-        if (this.fallbackHolidays) {
-            return this._isHolidayFromFallback(date);
-        }
-        
-        return false;
+        return this.getHolidayNames(date).length > 0;
     }
 
     /**
-     * JSONデータから祝日判定
+     * 指定した日付の祝日名をカレンダーごとに取得
+     * @param {Date} date - 対象の日付
+     * @returns {Array<{providerId: string, name: string}>} - 祝日でない場合は空配列
      */
-    _isHolidayFromJSON(date) {
-        const year = date.getFullYear().toString();
-        const isoDate = date.toISOString().split('T')[0];
-        
-        if (!this.holidayData.holidays[year]) {
-            return false;
+    getHolidayNames(date) {
+        if (!this.isInitialized) {
+            return [];
         }
-        
-        return this.holidayData.holidays[year].some(holiday => holiday.date === isoDate);
-    }
 
-    /**
-     * フォールバックデータから祝日判定（基本的な固定祝日のみ）
-     */
-    _isHolidayFromFallback(date) {
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        const year = date.getFullYear();
-        
-        const dateKey = `${month}-${day}`;
-        
-        // 固定祝日チェック
-        if (this.fallbackHolidays.fixedHolidays.includes(dateKey)) {
-            return true;
-        }
-        
-        // 移動祝日（簡易版）
-        // 成人の日（1月第2月曜日）
-        if (month === 1 && date.getDay() === 1) {
-            const firstMonday = this._getNthWeekdayOfMonth(year, 1, 1, 1);
-            const secondMonday = new Date(firstMonday);
-            secondMonday.setDate(firstMonday.getDate() + 7);
-            if (date.getDate() === secondMonday.getDate()) return true;
-        }
-        
-        // 海の日（7月第3月曜日）
-        if (month === 7 && date.getDay() === 1) {
-            const thirdMonday = this._getNthWeekdayOfMonth(year, 7, 1, 3);
-            if (date.getDate() === thirdMonday.getDate()) return true;
-        }
-        
-        // 敬老の日（9月第3月曜日）
-        if (month === 9 && date.getDay() === 1) {
-            const thirdMonday = this._getNthWeekdayOfMonth(year, 9, 1, 3);
-            if (date.getDate() === thirdMonday.getDate()) return true;
-        }
-        
-        // スポーツの日（10月第2月曜日）
-        if (month === 10 && date.getDay() === 1) {
-            const secondMonday = this._getNthWeekdayOfMonth(year, 10, 1, 2);
-            if (date.getDate() === secondMonday.getDate()) return true;
-        }
-        
-        return false;
+        const providers = [...this.enabledProviderIds.map(id => this.providers.get(id)), ...this.customProviders];
+        return providers
+            .map(provider => ({ providerId: provider.id, name: provider.getHolidayName(date) }))
+            .filter(holiday => holiday.name !== null);
     }
 
     /**
-     * 指定月の第N曜日を取得（フォールバック用）
+     * 指定した日付の祝日名を取得（複数のカレンダーで祝日の場合は「 / 」でつなぐ）
+     * @param {Date} date - 対象の日付
+     * @returns {string|null} - 祝日名（祝日でない場合null）
      */
-    _getNthWeekdayOfMonth(year, month, weekday, n) {
-        const firstDay = new Date(year, month - 1, 1);
-        const firstWeekday = firstDay.getDay();
-        const offset = (weekday - firstWeekday + 7) % 7;
-        const targetDate = new Date(year, month - 1, 1 + offset + (n - 1) * 7);
-        return targetDate;
+    getHolidayName(date) {
+        const names = this.getHolidayNames(date).map(holiday => holiday.name);
+        return names.length > 0 ? names.join(' / ') : null;
     }
 
     /**
@@ -199,25 +126,31 @@ class HolidayService {
     getStatus() {
         return {
             isInitialized: this.isInitialized,
-            hasJSONData: !!this.holidayData,
-            hasFallbackData: !!this.fallbackHolidays,
-            dataSource: this.holidayData ? 'JSON' : 'fallback',
-            lastUpdated: this.holidayData ? this.holidayData.lastUpdated : null
+            enabledProviders: this.enabledProviderIds,
+            providers: this.getProviders().map(provider => ({
+                id: provider.id,
+                loaded: this.loadedProviderIds.has(provider.id),
+                lastUpdated: provider.holidayData ? provider.holidayData.lastUpdated : null
+            }))
         };
     }
 
     /**
      * 指定年の祝日一覧を取得（デバッグ用）
+     * @param {number} year - 西暦年
+     * @param {string} providerId - プロバイダーの識別子（省略時は既定のプロバイダー）
      */
-    getHolidays(year) {
-        if (!this.isInitialized || !this.holidayData) {
+    getHolidays(year, providerId = this.getProviders()[0].id) {
+        if (!this.isInitialized || !this.providers.has(providerId)) {
             return [];
         }
-        
-        const yearStr = year.toString();
-        return this.holidayData.holidays[yearStr] || [];
+
+        return this.providers.get(providerId).getHolidays(year);
     }
 }
 
 // グローバルインスタンス（シングルトンパターン）
-window.holidayService = new HolidayService();
\ No newline at end of file
+window.holidayService = new HolidayService([
+    new JapanHolidayProvider(),
+    new HolidayProvider('us', './assets/holidays-us.json')
+]);
@@ -0,0 +1,555 @@
+/**
+ * 画面表示の文言を管理するクラス（日本語・英語）
+ * HTMLの data-i18n 属性と、スクリプト中の t() 呼び出しで使う
+ */
+class I18n {
+    constructor(locale = 'ja') {
+        this.messages = {
+            ja: {
+                'app.title': 'スケジュール調整 日時文字生成ツール',
+                'common.close': '閉じる',
+                'common.delete': '削除',
+                'common.cancel': 'キャンセル',
+                'common.save': '保存',
+                'weekday.0': '日',
+                'weekday.1': '月',
+                'weekday.2': '火',
+                'weekday.3': '水',
+                'weekday.4': '木',
+                'weekday.5': '金',
+                'weekday.6': '土',
+                'draft.label': '下書き',
+                'draft.new': '新規',
+                'draft.rename': '名前変更',
+                'draft.duplicate': '複製',
+                'draft.option': '{name}（{count}件）',
+                'draft.promptNew': '新しい下書きの名前',
+                'draft.promptRename': '下書きの名前',
+                'draft.confirmDelete': '下書き「{name}」を削除しますか？',
+                'draft.sharedName': '共有リンク',
+                'nav.today': '今週',
+                'nav.prev': '前の週',
+                'nav.next': '次の週',
+                'nav.thisMonth': '今月',
+                'nav.prevMonth': '前の月',
+                'nav.nextMonth': '次の月',
+                'view.label': '表示',
+                'view.week': '週',
+                'view.month': '月',
+                'month.openWeek': '{date}（候補{count}件）の週を表示',
+                'month.count': '候補{count}件',
+                'busy.import': '予定を読み込む（.ics）',
+                'busy.dropHint': '.icsファイルをドロップすると既存の予定が表示されます',
+                'busy.override': '予定と重なっても追加する',
+                'busy.clear': '予定をクリア',
+                'busy.source': '{name}（{count}件）',
+                'busy.sourceSeparator': '、',
+                'busy.untitled': '予定あり',
+                'busy.quoted': '「{name}」',
+                'busy.overlapping': '{names}と重なっています',
+                'busy.blocked': '{names}と重なるため追加できません',
+                'busy.conflictMark': '⚠ 予定あり',
+                'busy.readError': '{name} を読み込めませんでした',
+                'busy.loaded': '{count}件の予定を読み込みました',
+                'duration.label': '長さを指定',
+                'duration.off': 'オフ（ドラッグで選択）',
+                'duration.30': '30分',
+                'duration.45': '45分',
+                'duration.60': '1時間',
+                'duration.90': '1時間30分',
+                'duration.120': '2時間',
+                'duration.exceedsHours': '{text} は表示時間外にかかるため置けません',
+                'duration.overlaps': '{text} は追加済みの候補と重なるため置けません',
+                'duration.blocked': '{text} は土日・祝日のため置けません',
+                'duration.tooSoon': '{text} は過去・直前の時間を含むため置けません',
+                'duration.offGrid': '{text} は時間の刻みに合わないため置けません',
+                'output.title': '選択した日時',
+                'history.undo': '元に戻す',
+                'history.redo': 'やり直す',
+                'history.undoTitle': '元に戻す (Ctrl+Z)',
+                'history.redoTitle': 'やり直す (Ctrl+Shift+Z)',
+                'output.description': 'カレンダーから選んだ日時がここに表示されます。個別に削除もできます。',
+                'output.empty': '選択した日時がここに表示されます',
+                'output.style': 'スタイル',
+                'output.format': 'フォーマット',
+                'output.language': '言語',
+                'output.includeAnnotations': '注記を付ける',
+                'output.slots': '長い時間帯',
+                'slots.none': 'そのまま',
+                'slots.split': '枠に分ける',
+                'slots.window': '「の間で」と書く',
+                'slots.length': '長さ',
+                'slots.gap': '間隔',
+                'slots.gapNone': 'なし',
+                'slots.gap5': '5分',
+                'slots.gap10': '10分',
+                'slots.gap15': '15分',
+                'output.preview': 'コピーされる文字',
+                'output.past': '過去',
+                'output.tooSoon': '直前',
+                'output.staleWarning': '過去・直前の候補が{count}件あります',
+                'style.plain': 'そのまま',
+                'style.email': 'メール（番号付き）',
+                'style.chat': 'チャット（箇条書き）',
+                'style.byDate': '日付ごと',
+                'format.standard': '標準',
+                'format.simple': 'シンプル',
+                'format.detailed': '詳細',
+                'format.edit': '編集',
+                'format.dialogTitle': 'フォーマットの編集',
+                'format.target': '編集対象',
+                'format.new': '新しいフォーマット',
+                'format.name': '名前',
+                'format.namePlaceholder': '例: 社外向け',
+                'format.template': '時間指定',
+                'format.fullDay': '終日',
+                'format.fullDayPlaceholder': '空欄の場合は標準の終日フォーマット',
+                'format.tokenHint': 'トークンをクリックすると入力欄に挿入されます',
+                'format.preview': 'プレビュー',
+                'format.errorName': '名前を入力してください',
+                'format.errorTemplate': 'フォーマットを入力してください',
+                'format.unknownTokens': '使えないトークンがあります: {tokens}',
+                'format.confirmDelete': 'フォーマット「{name}」を削除しますか？',
+                'timezone.label': '相手のタイムゾーン',
+                'timezone.add': '追加',
+                'timezone.convert': '変換して表示',
+                'timezone.dual': '併記',
+                'timezone.invalid': '{name} はタイムゾーンとして認識できません',
+                'ics.summary': '予定名（.ics）',
+                'ics.defaultSummary': '仮押さえ',
+                'ics.buttonTitle': '仮押さえ予定としてカレンダーに取り込めます',
+                'action.copy': '文字をコピー',
+                'action.share': '共有',
+                'action.reset': 'リセット',
+                'notify.copied': 'コピーしました！',
+                'notify.linkCopied': 'リンクをコピーしました！',
+                'share.title': '共有リンク',
+                'share.description': 'このリンクを開くと、同じ候補と表示週が再現されます。',
+                'share.copyLink': 'リンクをコピー',
+                'share.qrTooLong': '候補が多すぎるためQRコードを作成できません',
+                'a11y.gridLabel': '候補日時の選択',
+                'a11y.gridHelp': '矢印キーで移動、Shift+矢印キーで範囲を選択、Enterで追加・解除します。左右に広げると複数の日に同じ時間帯を追加します。日付の見出しでEnterを押すと終日を選択します。',
+                'selection.days': '（{count}日）',
+                'selection.businessDaysOnly': '土日祝を除く',
+                'a11y.timeHeader': '時刻',
+                'a11y.fullDay': '終日',
+                'a11y.added': '追加しました: {text}',
+                'a11y.addedMultiple': '{count}件の候補を追加しました',
+                'a11y.removed': '削除しました: {text}',
+                'a11y.removedMultiple': '{count}件の候補を削除しました',
+                'a11y.changed': '変更しました: {text}',
+                'a11y.cleared': 'すべての候補を削除しました',
+                'a11y.undone': '元に戻しました',
+                'a11y.redone': 'やり直しました',
+                'recurring.open': '繰り返しで追加',
+                'recurring.title': '繰り返しで追加',
+                'recurring.weekdays': '曜日',
+                'recurring.time': '時間',
+                'recurring.startWeek': '開始週',
+                'recurring.weekOption': '{date}の週',
+                'recurring.end': '終了',
+                'recurring.count': '週数',
+                'recurring.until': '終了日',
+                'recurring.skipHolidays': '祝日を除く',
+                'recurring.preview': 'プレビュー',
+                'recurring.add': '追加',
+                'recurring.summary': '{count}件を追加します',
+                'recurring.skipped.holiday': '{date}（祝日のため除外）',
+                'recurring.skipped.outside': '{date}（表示時間外のため除外）',
+                'recurring.skipped.overlaps': '{date}（追加済みの候補と重なるため除外）',
+                'recurring.skipped.busy': '{date}（予定と重なるため除外）',
+                'recurring.skipped.blocked': '{date}（土日・祝日のため除外）',
+                'recurring.skipped.tooSoon': '{date}（直前のため除外）',
+                'holiday.generic': '祝日',
+                'holiday.withCalendar': '{name}（{calendar}）',
+                'holidayCalendar.jp': '日本',
+                'holidayCalendar.us': '米国',
+                'holidayCalendar.company': '会社の休業日',
+                'annotation.edit': '注記',
+                'annotation.title': '候補の注記',
+                'annotation.meetingType': '形式',
+                'annotation.meetingType.none': '指定なし',
+                'annotation.meetingType.online': 'オンライン',
+                'annotation.meetingType.inPerson': '対面',
+                'annotation.location': '場所',
+                'annotation.locationPlaceholder': '例: 本社3F',
+                'annotation.note': 'メモ',
+                'annotation.notePlaceholder': '例: 30分程度で可',
+                'closures.open': '会社の休業日',
+                'closures.title': '会社の休業日',
+                'closures.description': '登録した日は祝日と同じように色分けされ、選択の制限や繰り返しの除外の対象になります',
+                'closures.add': '休業日を追加',
+                'closures.type': '種類',
+                'closures.type.date': '指定日',
+                'closures.type.range': '期間',
+                'closures.type.yearly': '毎年',
+                'closures.label': '名前',
+                'closures.labelPlaceholder': '例: 年末年始休業',
+                'closures.start': '日付',
+                'closures.end': '〜',
+                'closures.yearlyHint': '毎年の場合は月日だけを使います（終了日は省略可、年をまたぐ期間も指定できます）',
+                'closures.addButton': '追加',
+                'closures.import': '読み込む（JSON）',
+                'closures.export': '書き出す（JSON）',
+                'closures.empty': '登録された休業日はありません',
+                'closures.fullDate': '{year}年{month}月{day}日',
+                'closures.monthDay': '{month}月{day}日',
+                'closures.period': '{start}〜{end}',
+                'closures.everyYear': '毎年 {period}',
+                'closures.errorLabel': '名前を入力してください',
+                'closures.errorDate': '日付を入力してください',
+                'closures.errorRange': '終了日は開始日以降にしてください',
+                'closures.imported': '{count}件の休業日を読み込みました',
+                'closures.importError': '{name} を読み込めませんでした（休業日のJSONではありません）',
+                'holiday.blocked': '{date}は土日・祝日のため選択できません',
+                'leadTime.blocked': '{date}は直前のため選択できません（{rule}以降のみ）',
+                'leadTime.now': '現在',
+                'leadTime.hours': '今から{count}時間後',
+                'leadTime.businessDays': '今から{count}営業日後',
+                'stale.title': '直前・過去の候補',
+                'stale.description': '次の{count}件は、過去または直前（{rule}より前）の候補です。削除してからコピーしますか？',
+                'stale.keep': 'そのままコピー',
+                'stale.remove': '削除してコピー',
+                'recurring.errorWeekdays': '曜日を選択してください',
+                'recurring.errorUntil': '終了日は開始週より後にしてください',
+                'recurring.errorTooLong': '{weeks}週間以内で指定してください',
+                'recurring.errorCount': '週数は1〜{weeks}で指定してください',
+                'settings.open': '設定',
+                'settings.title': '設定',
+                'settings.hours': '表示時間',
+                'settings.start': '開始',
+                'settings.end': '終了',
+                'settings.interval': '時間の刻み',
+                'settings.minutes': '{count}分',
+                'settings.weekdayHours': '曜日別の表示時間',
+                'settings.language': '表示言語',
+                'settings.selection': '選択の制限',
+                'settings.holidayCalendars': '祝日のカレンダー',
+                'settings.blockNonBusinessDays': '土日・祝日を選択できないようにする',
+                'settings.leadTime': '候補にできるのは今から',
+                'settings.leadTimeUnit': '単位',
+                'settings.leadTimeHours': '時間',
+                'settings.leadTimeBusinessDays': '営業日',
+                'settings.leadTimeAfter': '後以降',
+                'settings.errorLeadTime': '猶予は0〜30の整数で指定してください',
+                'settings.errorRange': '終了時刻は開始時刻より後にしてください',
+                'settings.errorWeekdayRange': '{weekday}曜日の終了時刻は開始時刻より後にしてください'
+            },
+            en: {
+                'app.title': 'Meeting Time Text Generator',
+                'common.close': 'Close',
+                'common.delete': 'Delete',
+                'common.cancel': 'Cancel',
+                'common.save': 'Save',
+                'weekday.0': 'Sun',
+                'weekday.1': 'Mon',
+                'weekday.2': 'Tue',
+                'weekday.3': 'Wed',
+                'weekday.4': 'Thu',
+                'weekday.5': 'Fri',
+                'weekday.6': 'Sat',
+                'draft.label': 'Draft',
+                'draft.new': 'New',
+                'draft.rename': 'Rename',
+                'draft.duplicate': 'Duplicate',
+                'draft.option': '{name} ({count})',
+                'draft.promptNew': 'Name of the new draft',
+                'draft.promptRename': 'Draft name',
+                'draft.confirmDelete': 'Delete the draft "{name}"?',
+                'draft.sharedName': 'Shared link',
+                'nav.today': 'This week',
+                'nav.prev': 'Previous week',
+                'nav.next': 'Next week',
+                'nav.thisMonth': 'This month',
+                'nav.prevMonth': 'Previous month',
+                'nav.nextMonth': 'Next month',
+                'view.label': 'View',
+                'view.week': 'Week',
+                'view.month': 'Month',
+                'month.openWeek': 'Show the week of {date} ({count} candidates)',
+                'month.count': '{count} candidates',
+                'busy.import': 'Import events (.ics)',
+                'busy.dropHint': 'Drop .ics files here to show your existing events',
+                'busy.override': 'Allow overlapping events',
+                'busy.clear': 'Clear events',
+                'busy.source': '{name} ({count})',
+                'busy.sourceSeparator': ', ',
+                'busy.untitled': 'Busy',
+                'busy.quoted': '"{name}"',
+                'busy.overlapping': 'Overlaps {names}',
+                'busy.blocked': 'Cannot add: overlaps {names}',
+                'busy.conflictMark': '⚠ Busy',
+                'busy.readError': 'Could not read {name}',
+                'busy.loaded': 'Loaded {count} event(s)',
+                'duration.label': 'Fixed length',
+                'duration.off': 'Off (drag to select)',
+                'duration.30': '30 min',
+                'duration.45': '45 min',
+                'duration.60': '1 hour',
+                'duration.90': '1.5 hours',
+                'duration.120': '2 hours',
+                'duration.exceedsHours': 'Cannot place {text}: it runs outside the visible hours',
+                'duration.overlaps': 'Cannot place {text}: it overlaps another candidate',
+                'duration.blocked': 'Cannot place {text}: weekends and holidays are blocked',
+                'duration.tooSoon': 'Cannot place {text}: it includes past or too-soon times',
+                'duration.offGrid': 'Cannot place {text}: it does not fit the time step',
+                'output.title': 'Selected times',
+                'history.undo': 'Undo',
+                'history.redo': 'Redo',
+                'history.undoTitle': 'Undo (Ctrl+Z)',
+                'history.redoTitle': 'Redo (Ctrl+Shift+Z)',
+                'output.description': 'Times you pick on the calendar appear here. You can remove them one by one.',
+                'output.empty': 'Selected times appear here',
+                'output.style': 'Style',
+                'output.format': 'Format',
+                'output.language': 'Language',
+                'output.includeAnnotations': 'Include notes',
+                'output.slots': 'Long ranges',
+                'slots.none': 'As selected',
+                'slots.split': 'Split into slots',
+                'slots.window': 'State the length',
+                'slots.length': 'Length',
+                'slots.gap': 'Gap',
+                'slots.gapNone': 'None',
+                'slots.gap5': '5 min',
+                'slots.gap10': '10 min',
+                'slots.gap15': '15 min',
+                'output.preview': 'Text to copy',
+                'output.past': 'Past',
+                'output.tooSoon': 'Too soon',
+                'output.staleWarning': '{count} candidate(s) are in the past or too soon',
+                'style.plain': 'Plain',
+                'style.email': 'Email (numbered)',
+                'style.chat': 'Chat (bullets)',
+                'style.byDate': 'Grouped by date',
+                'format.standard': 'Standard',
+                'format.simple': 'Simple',
+                'format.detailed': 'Detailed',
+                'format.edit': 'Edit',
+                'format.dialogTitle': 'Edit formats',
+                'format.target': 'Format',
+                'format.new': 'New format',
+                'format.name': 'Name',
+                'format.namePlaceholder': 'e.g. External',
+                'format.template': 'Timed',
+                'format.fullDay': 'All day',
+                'format.fullDayPlaceholder': 'Leave empty to use the standard all-day format',
+                'format.tokenHint': 'Click a token to insert it',
+                'format.preview': 'Preview',
+                'format.errorName': 'Enter a name',
+                'format.errorTemplate': 'Enter a format',
+                'format.unknownTokens': 'Unknown tokens: {tokens}',
+                'format.confirmDelete': 'Delete the format "{name}"?',
+                'timezone.label': 'Recipient time zones',
+                'timezone.add': 'Add',
+                'timezone.convert': 'Converted only',
+                'timezone.dual': 'Show both',
+                'timezone.invalid': '{name} is not a recognized time zone',
+                'ics.summary': 'Event title (.ics)',
+                'ics.defaultSummary': 'Tentative',
+                'ics.buttonTitle': 'Import into your calendar as tentative events',
+                'action.copy': 'Copy text',
+                'action.share': 'Share',
+                'action.reset': 'Reset',
+                'notify.copied': 'Copied!',
+                'notify.linkCopied': 'Link copied!',
+                'share.title': 'Share link',
+                'share.description': 'Opening this link restores the same candidates and week.',
+                'share.copyLink': 'Copy link',
+                'share.qrTooLong': 'Too many candidates to create a QR code',
+                'a11y.gridLabel': 'Pick candidate times',
+                'a11y.gridHelp': 'Use the arrow keys to move, Shift+arrow keys to select a range and Enter to add or remove. Extending left or right adds the same time on each day. Press Enter on a date heading to select the whole day.',
+                'selection.days': '({count} days)',
+                'selection.businessDaysOnly': 'excluding weekends and holidays',
+                'a11y.timeHeader': 'Time',
+                'a11y.fullDay': 'All day',
+                'a11y.added': 'Added: {text}',
+                'a11y.addedMultiple': 'Added {count} candidates',
+                'a11y.removed': 'Removed: {text}',
+                'a11y.removedMultiple': 'Removed {count} candidate(s)',
+                'a11y.changed': 'Changed: {text}',
+                'a11y.cleared': 'All candidates removed',
+                'a11y.undone': 'Undone',
+                'a11y.redone': 'Redone',
+                'recurring.open': 'Add recurring',
+                'recurring.title': 'Add recurring times',
+                'recurring.weekdays': 'Days',
+                'recurring.time': 'Time',
+                'recurring.startWeek': 'Starting week',
+                'recurring.weekOption': 'Week of {date}',
+                'recurring.end': 'Ends',
+                'recurring.count': 'Weeks',
+                'recurring.until': 'End date',
+                'recurring.skipHolidays': 'Skip holidays',
+                'recurring.preview': 'Preview',
+                'recurring.add': 'Add',
+                'recurring.summary': '{count} candidates will be added',
+                'recurring.skipped.holiday': '{date} (skipped: holiday)',
+                'recurring.skipped.outside': '{date} (skipped: outside visible hours)',
+                'recurring.skipped.overlaps': '{date} (skipped: overlaps a candidate)',
+                'recurring.skipped.busy': '{date} (skipped: overlaps an event)',
+                'recurring.skipped.blocked': '{date} (skipped: weekend or holiday)',
+                'recurring.skipped.tooSoon': '{date} (skipped: too soon)',
+                'holiday.generic': 'Holiday',
+                'holiday.withCalendar': '{name} ({calendar})',
+                'holidayCalendar.jp': 'Japan',
+                'holidayCalendar.us': 'United States',
+                'holidayCalendar.company': 'Company closure',
+                'annotation.edit': 'Note',
+                'annotation.title': 'Candidate notes',
+                'annotation.meetingType': 'Format',
+                'annotation.meetingType.none': 'Not specified',
+                'annotation.meetingType.online': 'Online',
+                'annotation.meetingType.inPerson': 'In person',
+                'annotation.location': 'Location',
+                'annotation.locationPlaceholder': 'e.g. HQ 3F',
+                'annotation.note': 'Note',
+                'annotation.notePlaceholder': 'e.g. 30 minutes is fine',
+                'closures.open': 'Company closures',
+                'closures.title': 'Company closures',
+                'closures.description': 'These days are colored like holidays and count as holidays for selection limits and recurring candidates',
+                'closures.add': 'Add a closure',
+                'closures.type': 'Type',
+                'closures.type.date': 'Single day',
+                'closures.type.range': 'Date range',
+                'closures.type.yearly': 'Every year',
+                'closures.label': 'Name',
+                'closures.labelPlaceholder': 'e.g. Year-end holidays',
+                'closures.start': 'Date',
+                'closures.end': 'to',
+                'closures.yearlyHint': 'For yearly closures only the month and day are used (end date is optional and may wrap into the next year)',
+                'closures.addButton': 'Add',
+                'closures.import': 'Import (JSON)',
+                'closures.export': 'Export (JSON)',
+                'closures.empty': 'No closures registered',
+                'closures.fullDate': '{month}/{day}/{year}',
+                'closures.monthDay': '{month}/{day}',
+                'closures.period': '{start} – {end}',
+                'closures.everyYear': 'Every year {period}',
+                'closures.errorLabel': 'Enter a name',
+                'closures.errorDate': 'Enter a date',
+                'closures.errorRange': 'End date must be on or after the start date',
+                'closures.imported': 'Imported {count} closures',
+                'closures.importError': 'Could not import {name} (not a closures JSON file)',
+                'holiday.blocked': '{date} is a weekend or holiday and cannot be selected',
+                'leadTime.blocked': '{date} is too soon and cannot be selected (only from {rule})',
+                'leadTime.now': 'now',
+                'leadTime.hours': '{count} hour(s) from now',
+                'leadTime.businessDays': '{count} business day(s) from now',
+                'stale.title': 'Past or too soon',
+                'stale.description': 'These {count} candidate(s) are in the past or too soon (before {rule}). Remove them before copying?',
+                'stale.keep': 'Copy anyway',
+                'stale.remove': 'Remove and copy',
+                'recurring.errorWeekdays': 'Select at least one day',
+                'recurring.errorUntil': 'End date must be on or after the starting week',
+                'recurring.errorTooLong': 'Choose a period of {weeks} weeks or less',
+                'recurring.errorCount': 'Enter a number of weeks from 1 to {weeks}',
+                'settings.open': 'Settings',
+                'settings.title': 'Settings',
+                'settings.hours': 'Visible hours',
+                'settings.start': 'Start',
+                'settings.end': 'End',
+                'settings.interval': 'Time step',
+                'settings.minutes': '{count} min',
+                'settings.weekdayHours': 'Hours by weekday',
+                'settings.language': 'Display language',
+                'settings.selection': 'Selection',
+                'settings.holidayCalendars': 'Holiday calendars',
+                'settings.blockNonBusinessDays': 'Prevent selecting weekends and holidays',
+                'settings.leadTime': 'Only allow times at least',
+                'settings.leadTimeUnit': 'Unit',
+                'settings.leadTimeHours': 'hour(s)',
+                'settings.leadTimeBusinessDays': 'business day(s)',
+                'settings.leadTimeAfter': 'from now',
+                'settings.errorLeadTime': 'Lead time must be a whole number from 0 to 30',
+                'settings.errorRange': 'End time must be after start time',
+                'settings.errorWeekdayRange': '{weekday}: end time must be after start time',
+                'token.YYYY': 'Year (4 digits)',
+                'token.M': 'Month',
+                'token.MM': 'Month (2 digits)',
+                'token.D': 'Day',
+                'token.DD': 'Day (2 digits)',
+                'token.ddd': 'Weekday (Tue)',
+                'token.dddd': 'Weekday (Tuesday)',
+                'token.start': 'Start time (9:00 AM)',
+                'token.end': 'End time (10:30 AM)',
+                'token.startPad': 'Start time (09:00 AM)',
+                'token.endPad': 'End time (10:30 AM)',
+                'token.duration': 'Duration (1 hr 30 min)'
+            }
+        };
+        this.languageNames = {
+            ja: '日本語',
+            en: 'English'
+        };
+        this.locale = this.messages[locale] ? locale : 'ja';
+    }
+
+    /**
+     * 表示言語を変更
+     */
+    setLocale(locale) {
+        if (this.messages[locale]) {
+            this.locale = locale;
+        }
+        return this;
+    }
+
+    /**
+     * 文言を取得（{name} の形の部分を params の値で置き換える）
+     * @param {string} key - 文言のキー
+     * @param {Object} params - 埋め込む値
+     * @param {string} fallback - どの言語にも無い場合の文言
+     */
+    t(key, params = {}, fallback = key) {
+        const message = this.messages[this.locale][key] ?? this.messages.ja[key] ?? fallback;
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            return Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match;
+        });
+    }
+
+    /**
+     * data-i18n 系の属性を持つ要素に文言を反映
+     * data-i18n: テキスト / data-i18n-placeholder / data-i18n-title / data-i18n-aria-label: 各属性
+     */
+    apply(root = document) {
+        const attributes = {
+            'data-i18n-placeholder': 'placeholder',
+            'data-i18n-title': 'title',
+            'data-i18n-aria-label': 'aria-label'
+        };
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+
+        Object.entries(attributes).forEach(([dataAttribute, attribute]) => {
+            root.querySelectorAll(`[${dataAttribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(dataAttribute)));
+            });
+        });
+
+        document.documentElement.lang = this.locale;
+        document.title = this.t('app.title');
+    }
+
+    /**
+     * 年月の見出しを生成（例: 2025年3月 / March 2025）
+     */
+    formatMonthYear(date) {
+        if (this.locale === 'ja') {
+            return `${date.getFullYear()}年${date.getMonth() + 1}月`;
+        }
+        return new Intl.DateTimeFormat(this.locale, { year: 'numeric', month: 'long' }).format(date);
+    }
+
+    /**
+     * 日付を読み上げ用に整形（例: 3月4日（火） / Tue, Mar 4）
+     */
+    formatDate(date) {
+        if (this.locale === 'ja') {
+            return `${date.getMonth() + 1}月${date.getDate()}日（${this.t(`weekday.${date.getDay()}`)}）`;
+        }
+        return new Intl.DateTimeFormat(this.locale, { weekday: 'short', month: 'short', day: 'numeric' }).format(date);
+    }
+}
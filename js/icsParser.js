@@ -0,0 +1,521 @@
+/**
+ * iCalendar（.ics）パーサー
+ * VEVENTを読み取り、繰り返し（RRULE）を展開して指定期間内の予定を返す
+ */
+class IcsParser {
+    constructor(timeZoneUtil = new TimeZoneUtil()) {
+        this.timeZoneUtil = timeZoneUtil;
+        this.weekdayCodes = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+        this.maxIterations = 20000;
+    }
+
+    /**
+     * .icsテキストからVEVENTを読み取る
+     * @param {string} text - .icsファイルの内容
+     * @returns {Array<Object>} - 予定の配列（繰り返しは未展開）
+     */
+    parse(text) {
+        const events = [];
+        const stack = [];
+        let current = null;
+
+        this._unfold(text).forEach(line => {
+            if (!line.trim()) {
+                return;
+            }
+
+            const property = this._parseLine(line);
+            if (!property) {
+                return;
+            }
+
+            if (property.name === 'BEGIN') {
+                const component = property.value.trim().toUpperCase();
+                stack.push(component);
+                if (component === 'VEVENT') {
+                    current = { exdates: [] };
+                }
+                return;
+            }
+
+            if (property.name === 'END') {
+                const component = stack.pop();
+                if (component === 'VEVENT' && current) {
+                    const event = this._finalizeEvent(current);
+                    if (event) {
+                        events.push(event);
+                    }
+                    current = null;
+                }
+                return;
+            }
+
+            // VALARMなどVEVENT内の子コンポーネントは読み飛ばす
+            if (!current || stack[stack.length - 1] !== 'VEVENT') {
+                return;
+            }
+
+            switch (property.name) {
+                case 'UID':
+                    current.uid = property.value;
+                    break;
+                case 'SUMMARY':
+                    current.summary = this._unescapeText(property.value);
+                    break;
+                case 'DTSTART':
+                    current.start = this._parseDateValue(property.value, property.params);
+                    break;
+                case 'DTEND':
+                    current.end = this._parseDateValue(property.value, property.params);
+                    break;
+                case 'DURATION':
+                    current.duration = this._parseDuration(property.value);
+                    break;
+                case 'RRULE':
+                    current.rruleText = property.value;
+                    break;
+                case 'EXDATE':
+                    property.value.split(',').forEach(value => {
+                        const exdate = this._parseDateValue(value, property.params);
+                        if (exdate) {
+                            current.exdates.push(exdate);
+                        }
+                    });
+                    break;
+                case 'RECURRENCE-ID':
+                    current.recurrenceId = this._parseDateValue(property.value, property.params);
+                    break;
+                case 'STATUS':
+                    current.status = property.value.trim().toUpperCase();
+                    break;
+                case 'TRANSP':
+                    current.transparency = property.value.trim().toUpperCase();
+                    break;
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * 予定を指定期間内の発生に展開
+     * @param {Array<Object>} events - parse() の結果
+     * @param {Date} rangeStart - 期間の開始
+     * @param {Date} rangeEnd - 期間の終了（この時刻を含まない）
+     * @returns {Array<{uid: string, summary: string, start: Date, end: Date, isAllDay: boolean}>}
+     */
+    expand(events, rangeStart, rangeEnd) {
+        // RECURRENCE-ID で個別に変更・キャンセルされた回は親の繰り返しから除く
+        const overridden = new Map();
+        events.filter(event => event.recurrenceId).forEach(event => {
+            if (!overridden.has(event.uid)) {
+                overridden.set(event.uid, new Set());
+            }
+            overridden.get(event.uid).add(this._toDate(event.recurrenceId.fields, event.recurrenceId.timeZone).getTime());
+        });
+
+        const occurrences = [];
+
+        events.forEach(event => {
+            if (event.status === 'CANCELLED') {
+                return;
+            }
+
+            const skip = event.recurrenceId ? null : overridden.get(event.uid);
+            this._expandEvent(event, rangeStart, rangeEnd).forEach(occurrence => {
+                if (!skip || !skip.has(occurrence.start.getTime())) {
+                    occurrences.push(occurrence);
+                }
+            });
+        });
+
+        return occurrences.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * 折り返し行を結合して論理行に分割
+     */
+    _unfold(text) {
+        return text
+            .replace(/\r\n/g, '\n')
+            .replace(/\r/g, '\n')
+            .replace(/\n[ \t]/g, '')
+            .split('\n');
+    }
+
+    /**
+     * 1行をプロパティ名・パラメータ・値に分解
+     */
+    _parseLine(line) {
+        let inQuotes = false;
+        let colonIndex = -1;
+
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') {
+                inQuotes = !inQuotes;
+            } else if (line[i] === ':' && !inQuotes) {
+                colonIndex = i;
+                break;
+            }
+        }
+
+        if (colonIndex < 0) {
+            return null;
+        }
+
+        const segments = line.slice(0, colonIndex).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+        const params = {};
+
+        segments.slice(1).forEach(segment => {
+            const separator = segment.indexOf('=');
+            if (separator > 0) {
+                const key = segment.slice(0, separator).toUpperCase();
+                params[key] = segment.slice(separator + 1).replace(/^"|"$/g, '');
+            }
+        });
+
+        return {
+            name: segments[0].toUpperCase(),
+            params: params,
+            value: line.slice(colonIndex + 1)
+        };
+    }
+
+    /**
+     * TEXT値のエスケープを解除
+     */
+    _unescapeText(value) {
+        return value
+            .replace(/\\n/gi, '\n')
+            .replace(/\\([,;\\])/g, '$1');
+    }
+
+    /**
+     * 日付・日時の値を解析
+     * @returns {{fields: Object, timeZone: string|null, isDate: boolean}|null}
+     *          timeZone は 'UTC'・IANA名、またはフローティング時刻の場合null
+     */
+    _parseDateValue(value, params = {}) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+        if (!match) {
+            return null;
+        }
+
+        const isDate = params.VALUE === 'DATE' || !match[4];
+        const fields = {
+            year: Number(match[1]),
+            month: Number(match[2]),
+            day: Number(match[3]),
+            hour: isDate ? 0 : Number(match[4]),
+            minute: isDate ? 0 : Number(match[5]),
+            second: isDate || !match[6] ? 0 : Number(match[6])
+        };
+
+        let timeZone = null;
+        if (!isDate) {
+            if (match[7]) {
+                timeZone = 'UTC';
+            } else if (params.TZID) {
+                timeZone = this.timeZoneUtil.resolve(params.TZID);
+                if (!timeZone) {
+                    console.warn(`⚠️ 不明なタイムゾーン「${params.TZID}」、ブラウザの時刻として扱います`);
+                }
+            }
+        }
+
+        return { fields, timeZone, isDate };
+    }
+
+    /**
+     * 壁時計時刻を実時刻に変換（タイムゾーンなしはブラウザの時刻）
+     */
+    _toDate(fields, timeZone) {
+        if (timeZone) {
+            return this.timeZoneUtil.zonedTimeToDate(fields, timeZone);
+        }
+        return new Date(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+    }
+
+    /**
+     * DURATION値をミリ秒に変換
+     */
+    _parseDuration(value) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+        if (!match) {
+            return null;
+        }
+
+        const [, sign, weeks, days, hours, minutes, seconds] = match;
+        const totalSeconds = (Number(weeks || 0) * 7 + Number(days || 0)) * 86400 +
+                             Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0);
+        return (sign === '-' ? -1 : 1) * totalSeconds * 1000;
+    }
+
+    /**
+     * RRULE値を解析
+     */
+    _parseRRule(value, start) {
+        const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [] };
+
+        value.split(';').forEach(part => {
+            const [key, rawValue = ''] = part.split('=');
+            switch (key.toUpperCase()) {
+                case 'FREQ':
+                    rule.freq = rawValue.toUpperCase();
+                    break;
+                case 'INTERVAL':
+                    rule.interval = Math.max(1, parseInt(rawValue, 10) || 1);
+                    break;
+                case 'COUNT':
+                    rule.count = parseInt(rawValue, 10) || null;
+                    break;
+                case 'UNTIL': {
+                    const until = this._parseDateValue(rawValue);
+                    if (until) {
+                        // 日付のみの場合はその日の終わりまでを含める
+                        rule.until = until.isDate
+                            ? new Date(until.fields.year, until.fields.month - 1, until.fields.day, 23, 59, 59)
+                            : this._toDate(until.fields, until.timeZone || start.timeZone);
+                    }
+                    break;
+                }
+                case 'BYDAY':
+                    rawValue.split(',').forEach(token => {
+                        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(token.trim());
+                        if (match) {
+                            rule.byDay.push({
+                                weekday: this.weekdayCodes[match[2].toUpperCase()],
+                                ordinal: match[1] ? parseInt(match[1], 10) : 0
+                            });
+                        }
+                    });
+                    break;
+                case 'BYMONTHDAY':
+                    rule.byMonthDay = rawValue.split(',').map(n => parseInt(n, 10)).filter(n => n && Math.abs(n) <= 31);
+                    break;
+                case 'BYMONTH':
+                    rule.byMonth = rawValue.split(',').map(n => parseInt(n, 10)).filter(n => n >= 1 && n <= 12);
+                    break;
+            }
+        });
+
+        return ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq) ? rule : null;
+    }
+
+    /**
+     * 読み取ったプロパティから予定オブジェクトを組み立てる
+     */
+    _finalizeEvent(data) {
+        if (!data.start) {
+            return null;
+        }
+
+        const isAllDay = data.start.isDate;
+        const startDate = this._toDate(data.start.fields, data.start.timeZone);
+        let durationMs;
+
+        if (data.end) {
+            durationMs = this._toDate(data.end.fields, data.end.timeZone) - startDate;
+        } else if (data.duration !== null && data.duration !== undefined) {
+            durationMs = data.duration;
+        } else {
+            // DTENDもDURATIONもない場合、終日は1日・時刻指定は0分
+            durationMs = isAllDay ? 86400000 : 0;
+        }
+
+        return {
+            uid: data.uid || '',
+            summary: data.summary || '',
+            start: data.start,
+            isAllDay: isAllDay,
+            durationMs: Math.max(0, durationMs),
+            durationDays: Math.max(1, Math.round(durationMs / 86400000)),
+            rrule: data.rruleText ? this._parseRRule(data.rruleText, data.start) : null,
+            exdates: data.exdates,
+            recurrenceId: data.recurrenceId || null,
+            status: data.status || 'CONFIRMED',
+            transparency: data.transparency || 'OPAQUE'
+        };
+    }
+
+    /**
+     * 1件の予定を指定期間内の発生に展開
+     */
+    _expandEvent(event, rangeStart, rangeEnd) {
+        const DAY = 86400000;
+        const base = event.start.fields;
+        const span = event.isAllDay ? event.durationDays * DAY : event.durationMs;
+
+        const makeOccurrence = (year, month, day) => {
+            const start = this._toDate({ year, month, day, hour: base.hour, minute: base.minute, second: base.second },
+                                       event.start.timeZone);
+            const end = event.isAllDay
+                ? new Date(year, month - 1, day + event.durationDays)
+                : new Date(start.getTime() + event.durationMs);
+            return { uid: event.uid, summary: event.summary, start, end, isAllDay: event.isAllDay };
+        };
+
+        const overlaps = occurrence => occurrence.start < rangeEnd &&
+            (occurrence.end > rangeStart || (occurrence.end - occurrence.start === 0 && occurrence.start >= rangeStart));
+
+        if (!event.rrule) {
+            const occurrence = makeOccurrence(base.year, base.month, base.day);
+            return overlaps(occurrence) ? [occurrence] : [];
+        }
+
+        const rule = event.rrule;
+        const isExcluded = occurrence => event.exdates.some(exdate => {
+            if (exdate.isDate || event.isAllDay) {
+                const date = occurrence.start;
+                return exdate.fields.year === date.getFullYear() &&
+                       exdate.fields.month === date.getMonth() + 1 &&
+                       exdate.fields.day === date.getDate();
+            }
+            return this._toDate(exdate.fields, exdate.timeZone).getTime() === occurrence.start.getTime();
+        });
+
+        const results = [];
+        let count = 0;
+
+        for (const date of this._iterateRuleDates(event)) {
+            const calendarTime = Date.UTC(date.year, date.month - 1, date.day);
+
+            // 期間よりかなり前の回はタイムゾーン変換せずに数えるだけ
+            if (calendarTime + span + 2 * DAY < rangeStart.getTime()) {
+                if (rule.until && calendarTime - 2 * DAY > rule.until.getTime()) break;
+                count++;
+                if (rule.count && count >= rule.count) break;
+                continue;
+            }
+
+            const occurrence = makeOccurrence(date.year, date.month, date.day);
+            if (rule.until && occurrence.start > rule.until) break;
+            count++;
+            if (rule.count && count > rule.count) break;
+            if (occurrence.start >= rangeEnd) break;
+
+            if (!isExcluded(occurrence) && overlaps(occurrence)) {
+                results.push(occurrence);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * 繰り返し規則に従って日付（暦日）を昇順に列挙
+     */
+    *_iterateRuleDates(event) {
+        const DAY = 86400000;
+        const rule = event.rrule;
+        const base = event.start.fields;
+        const startTime = Date.UTC(base.year, base.month - 1, base.day);
+        const startWeekday = new Date(startTime).getUTCDay();
+        const toFields = time => {
+            const d = new Date(time);
+            return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+        };
+        const matchesMonth = month => rule.byMonth.length === 0 || rule.byMonth.includes(month);
+        const matchesMonthDay = fields => {
+            if (rule.byMonthDay.length === 0) return true;
+            const daysInMonth = new Date(Date.UTC(fields.year, fields.month, 0)).getUTCDate();
+            return rule.byMonthDay.some(n => (n > 0 ? n : daysInMonth + n + 1) === fields.day);
+        };
+
+        for (let period = 0; period < this.maxIterations; period++) {
+            let dates = [];
+
+            switch (rule.freq) {
+                case 'DAILY': {
+                    const fields = toFields(startTime + period * rule.interval * DAY);
+                    if (matchesMonth(fields.month) && matchesMonthDay(fields) &&
+                        (rule.byDay.length === 0 || rule.byDay.some(b => b.weekday === fields.weekday))) {
+                        dates.push(fields);
+                    }
+                    break;
+                }
+                case 'WEEKLY': {
+                    // 週は月曜始まりで数える
+                    const weekStart = startTime - ((startWeekday + 6) % 7) * DAY + period * rule.interval * 7 * DAY;
+                    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(b => b.weekday) : [startWeekday];
+                    for (let i = 0; i < 7; i++) {
+                        const fields = toFields(weekStart + i * DAY);
+                        if (weekdays.includes(fields.weekday) && matchesMonth(fields.month)) {
+                            dates.push(fields);
+                        }
+                    }
+                    break;
+                }
+                case 'MONTHLY': {
+                    const monthIndex = base.year * 12 + (base.month - 1) + period * rule.interval;
+                    const year = Math.floor(monthIndex / 12);
+                    const month = monthIndex % 12 + 1;
+                    if (matchesMonth(month)) {
+                        dates = this._datesInMonth(year, month, rule, base.day);
+                    }
+                    break;
+                }
+                case 'YEARLY': {
+                    const year = base.year + period * rule.interval;
+                    const months = rule.byMonth.length > 0 ? rule.byMonth : [base.month];
+                    months.forEach(month => {
+                        dates.push(...this._datesInMonth(year, month, rule, base.day));
+                    });
+                    break;
+                }
+                default:
+                    return;
+            }
+
+            dates.sort((a, b) => Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day));
+
+            for (const fields of dates) {
+                if (Date.UTC(fields.year, fields.month - 1, fields.day) >= startTime) {
+                    yield fields;
+                }
+            }
+        }
+    }
+
+    /**
+     * 月内で規則に一致する日付を取得（BYDAYの序数・BYMONTHDAYの負数に対応）
+     */
+    _datesInMonth(year, month, rule, defaultDay) {
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const weekdayOf = day => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        let days = [];
+
+        if (rule.byDay.length > 0) {
+            rule.byDay.forEach(({ weekday, ordinal }) => {
+                const matches = [];
+                for (let day = 1; day <= daysInMonth; day++) {
+                    if (weekdayOf(day) === weekday) {
+                        matches.push(day);
+                    }
+                }
+                if (ordinal) {
+                    const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+                    if (day) days.push(day);
+                } else {
+                    days.push(...matches);
+                }
+            });
+
+            if (rule.byMonthDay.length > 0) {
+                const allowed = rule.byMonthDay.map(n => (n > 0 ? n : daysInMonth + n + 1));
+                days = days.filter(day => allowed.includes(day));
+            }
+        } else if (rule.byMonthDay.length > 0) {
+            rule.byMonthDay.forEach(n => {
+                const day = n > 0 ? n : daysInMonth + n + 1;
+                if (day >= 1 && day <= daysInMonth) days.push(day);
+            });
+        } else if (defaultDay <= daysInMonth) {
+            days.push(defaultDay);
+        }
+
+        return [...new Set(days)]
+            .sort((a, b) => a - b)
+            .map(day => ({ year, month, day, weekday: weekdayOf(day) }));
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * 日本の祝日を計算で求めるクラス
+ * 祝日JSONに含まれない年や、JSONを読み込めない場合に使う
+ *
+ * 現行の「国民の祝日に関する法律」（2020年以降）の規定に基づく。
+ * 2020・2021年の東京オリンピックに伴う祝日の移動などの特例は含まない。
+ * 振替休日・国民の休日の名前は、内閣府のデータに合わせて「休日」とする。
+ */
+class JapaneseHolidayCalculator {
+    constructor() {
+        // 年ごとの計算結果（キーは年、値は日付キー → 祝日名のMap）
+        this.cache = new Map();
+    }
+
+    /**
+     * 指定した年の祝日一覧を取得
+     * @param {number} year - 西暦年
+     * @returns {Array<{date: string, name: string}>} - 日付順の祝日（date は YYYY-MM-DD）
+     */
+    getHolidays(year) {
+        return Array.from(this._getYearHolidays(year), ([date, name]) => ({ date, name }));
+    }
+
+    /**
+     * 指定した日付の祝日名を取得
+     * @param {Date} date - 対象の日付
+     * @returns {string|null} - 祝日名（祝日でない場合null）
+     */
+    getHolidayName(date) {
+        return this._getYearHolidays(date.getFullYear()).get(this.getDateKey(date)) || null;
+    }
+
+    /**
+     * 指定した日付が祝日（振替休日・国民の休日を含む）かどうかを判定
+     */
+    isHoliday(date) {
+        return this.getHolidayName(date) !== null;
+    }
+
+    /**
+     * 日付キー（YYYY-MM-DD）を取得
+     * toISOString() はUTCに変換されて日付がずれるため、ローカルの年月日から作る
+     */
+    getDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 春分日（1980〜2099年の近似式）
+     * @returns {number} - 3月の日
+     */
+    getVernalEquinoxDay(year) {
+        return Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+    }
+
+    /**
+     * 秋分日（1980〜2099年の近似式）
+     * @returns {number} - 9月の日
+     */
+    getAutumnalEquinoxDay(year) {
+        return Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+    }
+
+    /**
+     * 指定年の祝日を計算（キャッシュあり）
+     */
+    _getYearHolidays(year) {
+        if (!this.cache.has(year)) {
+            this.cache.set(year, this._calculate(year));
+        }
+        return this.cache.get(year);
+    }
+
+    /**
+     * 指定年の祝日を計算
+     * @returns {Map<string, string>} - 日付キー → 祝日名（日付順）
+     */
+    _calculate(year) {
+        const holidays = new Map();
+        const add = (month, day, name) => {
+            holidays.set(this.getDateKey(new Date(year, month - 1, day)), name);
+        };
+
+        add(1, 1, '元日');
+        add(1, this._getNthMonday(year, 1, 2), '成人の日');
+        add(2, 11, '建国記念の日');
+        add(2, 23, '天皇誕生日');
+        add(3, this.getVernalEquinoxDay(year), '春分の日');
+        add(4, 29, '昭和の日');
+        add(5, 3, '憲法記念日');
+        add(5, 4, 'みどりの日');
+        add(5, 5, 'こどもの日');
+        add(7, this._getNthMonday(year, 7, 3), '海の日');
+        add(8, 11, '山の日');
+        add(9, this._getNthMonday(year, 9, 3), '敬老の日');
+        add(9, this.getAutumnalEquinoxDay(year), '秋分の日');
+        add(10, this._getNthMonday(year, 10, 2), 'スポーツの日');
+        add(11, 3, '文化の日');
+        add(11, 23, '勤労感謝の日');
+
+        const nationalHolidays = new Set(holidays.keys());
+        const isNationalHoliday = date => nationalHolidays.has(this.getDateKey(date));
+
+        nationalHolidays.forEach(key => {
+            const [y, m, d] = key.split('-').map(Number);
+            const date = new Date(y, m - 1, d);
+
+            // 国民の休日: 前日と翌日が祝日で、その日自体は祝日でない日
+            const nextDate = new Date(y, m - 1, d + 1);
+            const afterNextDate = new Date(y, m - 1, d + 2);
+            if (!isNationalHoliday(nextDate) && isNationalHoliday(afterNextDate) &&
+                nextDate.getFullYear() === year && nextDate.getDay() !== 0) {
+                holidays.set(this.getDateKey(nextDate), '休日');
+            }
+
+            // 振替休日: 祝日が日曜日の場合、その後の最も近い祝日でない日
+            if (date.getDay() === 0) {
+                const substitute = new Date(y, m - 1, d + 1);
+                while (isNationalHoliday(substitute)) {
+                    substitute.setDate(substitute.getDate() + 1);
+                }
+                if (substitute.getFullYear() === year) {
+                    holidays.set(this.getDateKey(substitute), '休日');
+                }
+            }
+        });
+
+        return new Map([...holidays].sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    /**
+     * 指定月の第N月曜日
+     * @returns {number} - 日
+     */
+    _getNthMonday(year, month, n) {
+        const firstWeekday = new Date(year, month - 1, 1).getDay();
+        return 1 + (8 - firstWeekday) % 7 + (n - 1) * 7;
+    }
+}
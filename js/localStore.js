@@ -0,0 +1,59 @@
+/**
+ * localStorage の薄いラッパー
+ * キーに共通の接頭辞を付け、JSONの読み書きと例外処理をまとめる
+ */
+class LocalStore {
+    constructor(namespace = 'schedule-text-generator') {
+        this.namespace = namespace;
+    }
+
+    /**
+     * 接頭辞付きのキーを生成
+     */
+    _key(key) {
+        return `${this.namespace}:${key}`;
+    }
+
+    /**
+     * 値を読み込み（存在しない・壊れている場合は既定値）
+     * @param {string} key - キー
+     * @param {*} fallback - 既定値
+     * @returns {*} - 保存されていた値
+     */
+    load(key, fallback = null) {
+        try {
+            const raw = window.localStorage.getItem(this._key(key));
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            console.warn(`⚠️ 保存データの読み込みに失敗 (${key}):`, error.message);
+            return fallback;
+        }
+    }
+
+    /**
+     * 値を保存
+     * @param {string} key - キー
+     * @param {*} value - JSONに変換可能な値
+     * @returns {boolean} - 保存できた場合true
+     */
+    save(key, value) {
+        try {
+            window.localStorage.setItem(this._key(key), JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ データの保存に失敗 (${key}):`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 値を削除
+     */
+    remove(key) {
+        try {
+            window.localStorage.removeItem(this._key(key));
+        } catch (error) {
+            console.warn(`⚠️ データの削除に失敗 (${key}):`, error.message);
+        }
+    }
+}
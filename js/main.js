@@ -1,29 +1,74 @@
 // アプリケーションのメインクラス
 class ScheduleApp {
     constructor() {
-        this.scheduler = new Scheduler();
-        this.textGenerator = new TextGenerator();
+        this.store = new LocalStore();
+        this.settings = new Settings(this.store);
+        this.i18n = new I18n(this.settings.get('uiLanguage'));
+        this.scheduler = new Scheduler().applyTimeSettings(this.settings.getTimeSettings());
+        this.textGenerator = new TextGenerator()
+            .setLanguage(this.settings.get('outputLanguage'))
+            .setTimeZones(this.settings.get('recipientTimeZones'), this.settings.get('timeZoneMode'))
+            .setAnnotations(this.settings.get('includeAnnotations'))
+            .setSlots(this.settings.get('slotMode'), this.settings.get('slotLength'), this.settings.get('slotGap'));
+        this.applyCustomFormats();
+        this.draftManager = new DraftManager(this.store);
+        this.history = new CandidateHistory();
+        this.shareLink = new ShareLink();
+        this.busyCalendar = new BusyCalendar();
+        this.companyClosures = new CompanyClosures(this.store);
         this.selectedCandidates = [];
         this.isSelecting = false;
         this.selectionStart = null;
         this.selectionEnd = null;
+        this.isKeyboardSelecting = false;
+        // キーボード操作でフォーカスを受けるセル（ロービングタブインデックス）
+        this.activeCellSelector = null;
+        // タッチ・ペンの長押し判定（待ち時間と、スクロールとみなす移動量）
+        this.pendingPress = null;
+        this.longPressDelay = 400;
+        this.longPressTolerance = 10;
+        this.dragPointerType = 'mouse';
+        // 追加済みの候補をドラッグで移動・伸縮している間の状態
+        this.candidateDrag = null;
+        // 伸縮用の上端・下端のつまみの大きさ（px）
+        this.resizeHandleSize = { mouse: 8, touch: 16 };
+        // 複数日の範囲選択で土日・祝日を除くか（Altキーを押している間）
+        this.excludeNonBusinessDays = false;
+        // クリックで置く候補の長さ（分、0 はドラッグで選択）
+        this.placementDuration = this.settings.get('placementDuration');
+        this.lastCandidateId = 0;
+        // カレンダーの表示（week / month）
+        this.viewMode = this.settings.get('calendarView');
+        // 注記を編集中の候補（候補リストの1行分、結合された時間枠）
+        this.annotationTarget = null;
         
         this.init();
     }
     
     async init() {
+        this.i18n.apply();
+        
         // 祝日サービスを初期化
         await this.initializeHolidayService();
         
+        this.loadBusyCalendars();
         this.setupEventListeners();
         this.renderCalendar();
-        this.updateWeekDisplay();
+        this.applyViewMode();
+        this.renderDraftSelect();
+        
+        // 共有リンクで開かれた場合はその内容を優先
+        if (!this.applyShareLink()) {
+            this.loadActiveDraft();
+        }
     }
     
     // 祝日サービスを初期化
     async initializeHolidayService() {
         try {
             if (window.holidayService) {
+                window.holidayService.setEnabledProviders(this.settings.get('holidayCalendars'));
+                window.holidayService.addCustomProvider(this.companyClosures);
                 await window.holidayService.initialize();
                 console.log('✅ 祝日サービスの初期化完了');
             } else {
@@ -36,41 +81,1461 @@ class ScheduleApp {
     
     setupEventListeners() {
         // 週間ナビゲーション
+        // 月表示では月単位で移動
         document.getElementById('prev-week').addEventListener('click', () => {
-            this.scheduler.moveToPreviousWeek();
-            this.renderCalendar();
-            this.updateWeekDisplay();
-            this.reapplySelectedCells();
+            if (this.viewMode === 'month') {
+                this.scheduler.moveToPreviousMonth();
+            } else {
+                this.scheduler.moveToPreviousWeek();
+            }
+            this.onWeekChanged();
         });
         
         document.getElementById('next-week').addEventListener('click', () => {
-            this.scheduler.moveToNextWeek();
+            if (this.viewMode === 'month') {
+                this.scheduler.moveToNextMonth();
+            } else {
+                this.scheduler.moveToNextWeek();
+            }
+            this.onWeekChanged();
+        });
+        
+        document.getElementById('today-btn').addEventListener('click', () => {
+            this.scheduler.moveToThisWeek();
+            this.onWeekChanged();
+        });
+        
+        // 週表示・月表示の切り替え
+        document.getElementById('view-week-btn').addEventListener('click', () => {
+            this.setViewMode('week');
+        });
+        
+        document.getElementById('view-month-btn').addEventListener('click', () => {
+            this.setViewMode('month');
+        });
+        
+        // 月表示: 日付でその週を表示、「終日」で終日の候補を追加・解除
+        document.getElementById('month-grid').addEventListener('click', (e) => {
+            const toggle = e.target.closest('.month-day-toggle');
+            const open = e.target.closest('.month-day-open');
+            
+            if (toggle) {
+                this.toggleFullDay(this.parseDateInputValue(toggle.dataset.date));
+            } else if (open) {
+                this.scheduler.setCurrentWeek(this.parseDateInputValue(open.dataset.date));
+                this.setViewMode('week');
+                this.onWeekChanged();
+            }
+        });
+        
+        // ボタン
+        document.getElementById('copy-btn').addEventListener('click', () => {
+            this.copyToClipboard();
+        });
+        
+        document.getElementById('reset-btn').addEventListener('click', () => {
+            this.resetAll();
+        });
+        
+        // 出力スタイル・フォーマット・言語
+        const styleSelect = document.getElementById('style-select');
+        this.renderStyleSelect();
+        styleSelect.addEventListener('change', () => {
+            this.settings.set('outputStyle', styleSelect.value);
+            this.updateOutputText();
+        });
+        
+        const languageSelect = document.getElementById('language-select');
+        Object.entries(this.textGenerator.languages).forEach(([key, language]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = language.label;
+            languageSelect.appendChild(option);
+        });
+        languageSelect.value = this.textGenerator.language;
+        languageSelect.addEventListener('change', () => {
+            this.textGenerator.setLanguage(languageSelect.value);
+            this.settings.set('outputLanguage', this.textGenerator.language);
+            this.updateCandidatesList();
+            this.updateOutputText();
+        });
+        
+        // 候補の注記
+        const annotationsToggle = document.getElementById('annotations-toggle');
+        annotationsToggle.checked = this.textGenerator.includeAnnotations;
+        annotationsToggle.addEventListener('change', () => {
+            this.textGenerator.setAnnotations(annotationsToggle.checked);
+            this.settings.set('includeAnnotations', annotationsToggle.checked);
+            this.updateCandidatesList();
+            this.updateOutputText();
+        });
+        
+        document.getElementById('annotation-save-btn').addEventListener('click', () => {
+            this.saveAnnotationDialog();
+        });
+        
+        // 過去・直前の候補の確認
+        document.getElementById('stale-remove-btn').addEventListener('click', () => {
+            this.removeStaleAndCopy();
+        });
+        
+        document.getElementById('stale-keep-btn').addEventListener('click', () => {
+            this.closeModal(document.getElementById('stale-dialog'));
+            this.copyToClipboard(true);
+        });
+        
+        // 長い時間帯の出力方法（枠に分ける・「の間で」と書く）
+        const slotSelects = ['slot-mode-select', 'slot-length-select', 'slot-gap-select'].map(id => document.getElementById(id));
+        const [slotModeSelect, slotLengthSelect, slotGapSelect] = slotSelects;
+        slotModeSelect.value = this.textGenerator.slotOptions.mode;
+        slotLengthSelect.value = String(this.textGenerator.slotOptions.length);
+        slotGapSelect.value = String(this.textGenerator.slotOptions.gap);
+        this.updateSlotControls();
+        slotSelects.forEach(select => select.addEventListener('change', () => {
+            this.textGenerator.setSlots(slotModeSelect.value, parseInt(slotLengthSelect.value), parseInt(slotGapSelect.value));
+            const { mode, length, gap } = this.textGenerator.slotOptions;
+            this.settings.update({ slotMode: mode, slotLength: length, slotGap: gap });
+            this.updateSlotControls();
+            this.updateOutputText();
+        }));
+        
+        // 相手のタイムゾーン
+        const timeZoneInput = document.getElementById('timezone-input');
+        const timeZoneDatalist = document.getElementById('timezone-datalist');
+        const timeZoneNames = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : Object.values(this.textGenerator.timeZoneUtil.windowsZones);
+        timeZoneNames.forEach(name => {
+            timeZoneDatalist.appendChild(new Option(name, name));
+        });
+        
+        document.getElementById('timezone-add-btn').addEventListener('click', () => {
+            this.addRecipientTimeZone(timeZoneInput.value);
+        });
+        
+        timeZoneInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.addRecipientTimeZone(timeZoneInput.value);
+            }
+        });
+        
+        document.getElementById('timezone-list').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-timezone]');
+            if (button) {
+                this.removeRecipientTimeZone(button.dataset.timezone);
+            }
+        });
+        
+        const timeZoneModeSelect = document.getElementById('timezone-mode-select');
+        timeZoneModeSelect.value = this.textGenerator.timeZoneMode;
+        timeZoneModeSelect.addEventListener('change', () => {
+            this.applyRecipientTimeZones(this.textGenerator.recipientTimeZones, timeZoneModeSelect.value);
+        });
+        
+        this.renderTimeZoneList();
+        
+        document.getElementById('format-select').addEventListener('change', (event) => {
+            this.changeFormat(event.target.value);
+        });
+        
+        document.getElementById('format-edit-btn').addEventListener('click', () => {
+            this.openFormatDialog();
+        });
+        
+        document.getElementById('format-edit-target').addEventListener('change', (event) => {
+            this.loadFormatIntoDialog(event.target.value);
+        });
+        
+        ['format-template', 'format-fullday-template'].forEach(id => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', () => this.updateFormatPreview());
+            input.addEventListener('focus', () => {
+                this.lastFocusedTemplateInput = input;
+            });
+        });
+        
+        document.getElementById('format-tokens').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-token]');
+            if (button) {
+                this.insertFormatToken(button.dataset.token);
+            }
+        });
+        
+        document.getElementById('format-save-btn').addEventListener('click', () => {
+            this.saveFormatDialog();
+        });
+        
+        document.getElementById('format-delete-btn').addEventListener('click', () => {
+            this.deleteCustomFormat();
+        });
+        
+        this.renderFormatSelect();
+        
+        // iCalendarファイル
+        const icsSummary = document.getElementById('ics-summary');
+        icsSummary.value = this.store.load('icsSummary', '');
+        icsSummary.addEventListener('change', () => {
+            this.store.save('icsSummary', icsSummary.value.trim());
+        });
+        
+        document.getElementById('ics-btn').addEventListener('click', () => {
+            this.downloadIcs();
+        });
+        
+        // 既存の予定（.ics）の読み込み
+        const busyFileInput = document.getElementById('busy-file-input');
+        document.getElementById('busy-import-btn').addEventListener('click', () => {
+            busyFileInput.click();
+        });
+        
+        busyFileInput.addEventListener('change', async () => {
+            await this.importBusyFiles(busyFileInput.files);
+            busyFileInput.value = '';
+        });
+        
+        // 長さを指定して置くモード
+        const durationSelect = document.getElementById('placement-duration');
+        durationSelect.value = String(this.placementDuration);
+        durationSelect.addEventListener('change', () => {
+            this.placementDuration = parseInt(durationSelect.value);
+            this.settings.set('placementDuration', this.placementDuration);
+        });
+        
+        document.getElementById('busy-clear-btn').addEventListener('click', () => {
+            this.busyCalendar.clear();
+            this.saveBusyCalendars();
+            this.renderBusyCells();
+        });
+        
+        const calendarSection = document.getElementById('calendar-section');
+        calendarSection.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+                e.preventDefault();
+                calendarSection.classList.add('drop-target');
+            }
+        });
+        
+        calendarSection.addEventListener('dragleave', (e) => {
+            if (!calendarSection.contains(e.relatedTarget)) {
+                calendarSection.classList.remove('drop-target');
+            }
+        });
+        
+        calendarSection.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            calendarSection.classList.remove('drop-target');
+            await this.importBusyFiles(e.dataTransfer.files);
+        });
+        
+        // 共有
+        document.getElementById('share-btn').addEventListener('click', () => {
+            this.openShareDialog();
+        });
+        
+        document.getElementById('share-copy-btn').addEventListener('click', async () => {
+            await this.writeClipboard(document.getElementById('share-url').value);
+            this.showNotification(this.i18n.t('notify.linkCopied'));
+        });
+        
+        // 別の共有リンクが貼り付けられた場合
+        window.addEventListener('hashchange', () => {
+            this.applyShareLink();
+        });
+        
+        // モーダル（背景・閉じるボタン・Escキーで閉じる）
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('[data-close]')) {
+                    this.closeModal(modal);
+                }
+            });
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                document.querySelectorAll('.modal:not([hidden])').forEach(modal => this.closeModal(modal));
+            }
+        });
+        
+        // カレンダーのドラッグ選択とキーボード操作
+        this.setupPointerSelection();
+        this.setupDayHeaderClickEvents();
+        document.getElementById('calendar-unified').addEventListener('keydown', (e) => {
+            this.handleGridKeydown(e);
+        });
+        
+        // 元に戻す・やり直す（Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y）
+        document.getElementById('undo-btn').addEventListener('click', () => {
+            this.undo();
+        });
+        
+        document.getElementById('redo-btn').addEventListener('click', () => {
+            this.redo();
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            
+            // 入力欄の中やダイアログ表示中はブラウザ標準の動作に任せる
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]') ||
+                document.querySelector('.modal:not([hidden])')) {
+                return;
+            }
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+        
+        // 設定
+        document.getElementById('settings-btn').addEventListener('click', () => {
+            this.openSettingsDialog();
+        });
+        
+        document.getElementById('settings-save-btn').addEventListener('click', () => {
+            this.saveSettingsDialog();
+        });
+        
+        document.querySelectorAll('.weekday-hours-row input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const row = checkbox.closest('.weekday-hours-row');
+                row.querySelectorAll('select').forEach(select => {
+                    select.disabled = !checkbox.checked;
+                });
+            });
+        });
+        
+        // 繰り返しで追加
+        document.getElementById('recurring-btn').addEventListener('click', () => {
+            this.openRecurringDialog();
+        });
+        
+        // 会社の休業日
+        document.getElementById('closures-btn').addEventListener('click', () => {
+            this.openClosuresDialog();
+        });
+        
+        document.getElementById('closure-type').addEventListener('change', () => {
+            this.updateClosureForm();
+        });
+        
+        document.getElementById('closure-add-btn').addEventListener('click', () => {
+            this.addClosure();
+        });
+        
+        document.getElementById('closures-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.closure-delete');
+            if (button) {
+                this.removeClosure(Number(button.dataset.id));
+            }
+        });
+        
+        const closuresFileInput = document.getElementById('closures-file-input');
+        document.getElementById('closures-import-btn').addEventListener('click', () => {
+            closuresFileInput.click();
+        });
+        
+        closuresFileInput.addEventListener('change', async () => {
+            await this.importClosures(closuresFileInput.files[0]);
+            closuresFileInput.value = '';
+        });
+        
+        document.getElementById('closures-export-btn').addEventListener('click', () => {
+            this.downloadFile(this.companyClosures.exportJSON(), 'application/json', 'company-closures.json');
+        });
+        
+        const recurringDialog = document.getElementById('recurring-dialog');
+        recurringDialog.addEventListener('input', () => this.updateRecurringPreview());
+        recurringDialog.addEventListener('change', () => this.updateRecurringPreview());
+        
+        document.getElementById('recurring-add-btn').addEventListener('click', () => {
+            this.addRecurringCandidates();
+        });
+        
+        // 下書き
+        document.getElementById('draft-select').addEventListener('change', (e) => {
+            this.switchDraft(e.target.value);
+        });
+        
+        document.getElementById('draft-new-btn').addEventListener('click', () => {
+            this.createDraft();
+        });
+        
+        document.getElementById('draft-rename-btn').addEventListener('click', () => {
+            this.renameDraft();
+        });
+        
+        document.getElementById('draft-duplicate-btn').addEventListener('click', () => {
+            this.duplicateDraft();
+        });
+        
+        document.getElementById('draft-delete-btn').addEventListener('click', () => {
+            this.deleteDraft();
+        });
+    }
+    
+    // 下書きの選択肢を描画
+    renderDraftSelect() {
+        const select = document.getElementById('draft-select');
+        const activeDraft = this.draftManager.getActiveDraft();
+        select.innerHTML = '';
+        
+        this.draftManager.getDrafts().forEach(draft => {
+            const option = document.createElement('option');
+            option.value = draft.id;
+            option.textContent = this.i18n.t('draft.option', { name: draft.name, count: draft.count });
+            option.selected = activeDraft && draft.id === activeDraft.id;
+            select.appendChild(option);
+        });
+    }
+    
+    // 選択中の下書きから候補を復元
+    loadActiveDraft() {
+        this.selectedCandidates = this.draftManager.getActiveCandidates();
+        this.history.clear();
+        this.updateHistoryButtons();
+        this.normalizeFullDayCandidates();
+        this.sortCandidates();
+        this.refreshSelectedCells();
+        this.renderMonthView();
+        this.updateCandidatesList();
+        this.updateOutputText();
+        this.updateShareHash();
+        
+        // 過去・直前の候補が含まれている場合は通知
+        const staleCount = this.getStaleCandidates().length;
+        if (staleCount > 0) {
+            this.showNotification(this.i18n.t('output.staleWarning', { count: staleCount }), 'warning');
+        }
+    }
+    
+    // 下書きを切り替え
+    switchDraft(id) {
+        if (this.draftManager.switchDraft(id)) {
+            this.loadActiveDraft();
+        }
+        this.renderDraftSelect();
+    }
+    
+    // 新しい下書きを作成
+    createDraft() {
+        const name = prompt(this.i18n.t('draft.promptNew'), this.draftManager.generateName());
+        if (name === null) return;
+        
+        this.draftManager.createDraft(name.trim() || this.draftManager.generateName());
+        this.renderDraftSelect();
+        this.loadActiveDraft();
+    }
+    
+    // 選択中の下書き名を変更
+    renameDraft() {
+        const draft = this.draftManager.getActiveDraft();
+        const name = prompt(this.i18n.t('draft.promptRename'), draft.name);
+        if (name === null) return;
+        
+        this.draftManager.renameDraft(draft.id, name);
+        this.renderDraftSelect();
+    }
+    
+    // 選択中の下書きを複製
+    duplicateDraft() {
+        this.draftManager.duplicateDraft(this.draftManager.getActiveDraft().id);
+        this.renderDraftSelect();
+        this.loadActiveDraft();
+    }
+    
+    // 選択中の下書きを削除
+    deleteDraft() {
+        const draft = this.draftManager.getActiveDraft();
+        if (!confirm(this.i18n.t('draft.confirmDelete', { name: draft.name }))) return;
+        
+        this.draftManager.deleteDraft(draft.id);
+        this.renderDraftSelect();
+        this.loadActiveDraft();
+    }
+    
+    // 候補の変更を画面と下書きに反映
+    onCandidatesChanged() {
+        this.updateAriaSelected();
+        this.renderMonthView();
+        this.updateCandidatesList();
+        this.updateOutputText();
+        this.draftManager.saveActiveCandidates(this.selectedCandidates);
+        this.renderDraftSelect();
+        this.updateShareHash();
+    }
+    
+    // 変更前の候補リストを履歴に記録
+    recordHistory() {
+        this.history.record(this.selectedCandidates);
+        this.updateHistoryButtons();
+    }
+    
+    // 直前の操作を元に戻す
+    undo() {
+        const candidates = this.history.undo(this.selectedCandidates);
+        if (candidates) {
+            this.restoreCandidates(candidates);
+            this.announce(this.i18n.t('a11y.undone'));
+        }
+    }
+    
+    // 元に戻した操作をやり直す
+    redo() {
+        const candidates = this.history.redo(this.selectedCandidates);
+        if (candidates) {
+            this.restoreCandidates(candidates);
+            this.announce(this.i18n.t('a11y.redone'));
+        }
+    }
+    
+    // 履歴の候補リストをグリッドと一覧に反映
+    restoreCandidates(candidates) {
+        this.selectedCandidates = candidates;
+        this.sortCandidates();
+        this.clearSelectionDisplay();
+        this.refreshSelectedCells();
+        this.onCandidatesChanged();
+        this.updateHistoryButtons();
+    }
+    
+    // 元に戻す・やり直すボタンの状態を更新
+    updateHistoryButtons() {
+        document.getElementById('undo-btn').disabled = !this.history.canUndo();
+        document.getElementById('redo-btn').disabled = !this.history.canRedo();
+    }
+    
+    // 表示週の変更を画面に反映
+    onWeekChanged() {
+        this.renderCalendar();
+        this.updateWeekDisplay();
+        this.reapplySelectedCells();
+        this.renderMonthView();
+        this.updateShareHash();
+    }
+    
+    // URLハッシュの共有リンクを読み込む
+    applyShareLink() {
+        const shared = this.shareLink.decode(window.location.hash, date => this.scheduler.getDayTimeRange(date));
+        if (!shared) return false;
+        
+        // 選択中の下書きと内容が異なる場合のみ、新しい下書きとして取り込む
+        const encode = candidates => this.shareLink.encodeCandidates(this.textGenerator.sortCandidates(candidates));
+        if (encode(shared.candidates) !== encode(this.draftManager.getActiveCandidates())) {
+            this.draftManager.createDraft(this.i18n.t('draft.sharedName'), shared.candidates);
+            this.renderDraftSelect();
+        }
+        
+        if (shared.week) {
+            this.scheduler.setCurrentWeek(shared.week);
             this.renderCalendar();
             this.updateWeekDisplay();
-            this.reapplySelectedCells();
+        }
+        
+        // 候補を読み込み、表示週のセルに再適用する
+        this.loadActiveDraft();
+        return true;
+    }
+    
+    // 現在の候補と表示週をURLハッシュに反映
+    updateShareHash() {
+        const hash = this.shareLink.encode(this.selectedCandidates, this.scheduler.currentWeek);
+        window.history.replaceState(null, '', `#${hash}`);
+    }
+    
+    // 共有リンクのURLを取得
+    getShareUrl() {
+        const url = new URL(window.location.href);
+        url.hash = this.shareLink.encode(this.selectedCandidates, this.scheduler.currentWeek);
+        return url.toString();
+    }
+    
+    // 共有ダイアログを開く
+    openShareDialog() {
+        const url = this.getShareUrl();
+        const canvas = document.getElementById('share-qr-canvas');
+        const message = document.getElementById('share-qr-message');
+        
+        document.getElementById('share-url').value = url;
+        
+        try {
+            new QRCode(url).renderToCanvas(canvas, 4);
+            canvas.hidden = false;
+            message.hidden = true;
+        } catch (error) {
+            console.warn('⚠️ QRコードの生成に失敗:', error.message);
+            canvas.hidden = true;
+            message.hidden = false;
+        }
+        
+        this.openModal(document.getElementById('share-dialog'));
+    }
+    
+    // モーダルを開く
+    openModal(modal) {
+        modal.hidden = false;
+        const focusTarget = modal.querySelector('input, select, textarea, button:not([data-close])');
+        if (focusTarget) {
+            focusTarget.focus();
+        }
+    }
+    
+    // モーダルを閉じる
+    closeModal(modal) {
+        modal.hidden = true;
+    }
+    
+    // 終日候補の時刻をその日の表示時間に合わせる
+    normalizeFullDayCandidates() {
+        this.selectedCandidates.forEach(candidate => {
+            if (candidate.isFullDay) {
+                const range = this.scheduler.getDayTimeRange(candidate.date);
+                candidate.startHour = range.startHour;
+                candidate.startMinute = 0;
+                candidate.endHour = range.endHour;
+                candidate.endMinute = 0;
+            }
         });
+    }
+    
+    // 時刻の選択肢を生成
+    fillHourOptions(select, from, to, selected) {
+        select.innerHTML = '';
+        for (let hour = from; hour <= to; hour++) {
+            const option = document.createElement('option');
+            option.value = hour;
+            option.textContent = `${hour}:00`;
+            option.selected = hour === selected;
+            select.appendChild(option);
+        }
+    }
+    
+    // 設定ダイアログを開く
+    openSettingsDialog() {
+        const time = this.settings.getTimeSettings();
+        
+        this.fillHourOptions(document.getElementById('settings-start-hour'), 0, 23, time.startHour);
+        this.fillHourOptions(document.getElementById('settings-end-hour'), 1, 24, time.endHour);
+        
+        const intervalSelect = document.getElementById('settings-interval');
+        intervalSelect.innerHTML = '';
+        this.scheduler.allowedIntervals.forEach(interval => {
+            intervalSelect.appendChild(new Option(this.i18n.t('settings.minutes', { count: interval }), interval));
+        });
+        intervalSelect.value = String(time.minuteInterval);
+        
+        const languageSelect = document.getElementById('settings-ui-language');
+        languageSelect.innerHTML = '';
+        Object.entries(this.i18n.languageNames).forEach(([key, name]) => {
+            languageSelect.appendChild(new Option(name, key));
+        });
+        languageSelect.value = this.i18n.locale;
+        
+        document.getElementById('settings-block-non-business').checked = time.blockNonBusinessDays;
+        document.getElementById('settings-lead-time-amount').value = String(time.leadTime.amount);
+        document.getElementById('settings-lead-time-unit').value = time.leadTime.unit;
+        this.renderHolidayCalendarOptions();
+        
+        document.querySelectorAll('.weekday-hours-row').forEach(row => {
+            const hours = time.weekdayHours[row.dataset.weekday];
+            const checkbox = row.querySelector('input[type="checkbox"]');
+            const [startSelect, endSelect] = row.querySelectorAll('select');
+            
+            checkbox.checked = !!hours;
+            this.fillHourOptions(startSelect, 0, 23, hours ? hours.startHour : time.startHour);
+            this.fillHourOptions(endSelect, 1, 24, hours ? hours.endHour : time.endHour);
+            startSelect.disabled = !hours;
+            endSelect.disabled = !hours;
+        });
+        
+        document.getElementById('settings-error').textContent = '';
+        this.openModal(document.getElementById('settings-dialog'));
+    }
+    
+    // 設定ダイアログの内容を保存
+    saveSettingsDialog() {
+        const startHour = parseInt(document.getElementById('settings-start-hour').value);
+        const endHour = parseInt(document.getElementById('settings-end-hour').value);
+        const minuteInterval = parseInt(document.getElementById('settings-interval').value);
+        const weekdayHours = {};
+        const error = document.getElementById('settings-error');
+        
+        if (startHour >= endHour) {
+            error.textContent = this.i18n.t('settings.errorRange');
+            return;
+        }
+        
+        const leadTime = {
+            amount: Number(document.getElementById('settings-lead-time-amount').value),
+            unit: document.getElementById('settings-lead-time-unit').value
+        };
+        if (!Number.isInteger(leadTime.amount) || leadTime.amount < 0 || leadTime.amount > 30) {
+            error.textContent = this.i18n.t('settings.errorLeadTime');
+            return;
+        }
+        
+        for (const row of document.querySelectorAll('.weekday-hours-row')) {
+            if (!row.querySelector('input[type="checkbox"]').checked) continue;
+            
+            const [startSelect, endSelect] = row.querySelectorAll('select');
+            const hours = { startHour: parseInt(startSelect.value), endHour: parseInt(endSelect.value) };
+            if (hours.startHour >= hours.endHour) {
+                const weekday = this.i18n.t(`weekday.${row.dataset.weekday}`);
+                error.textContent = this.i18n.t('settings.errorWeekdayRange', { weekday });
+                return;
+            }
+            weekdayHours[row.dataset.weekday] = hours;
+        }
+        
+        const uiLanguage = document.getElementById('settings-ui-language').value;
+        const blockNonBusinessDays = document.getElementById('settings-block-non-business').checked;
+        const holidayCalendars = Array.from(document.querySelectorAll('#settings-holiday-calendars input:checked'))
+            .map(checkbox => checkbox.value);
+        
+        this.settings.update({ startHour, endHour, minuteInterval, weekdayHours, blockNonBusinessDays, leadTime, holidayCalendars, uiLanguage });
+        this.scheduler.applyTimeSettings(this.settings.getTimeSettings());
+        if (window.holidayService) {
+            window.holidayService.setEnabledProviders(holidayCalendars);
+        }
+        
+        this.closeModal(document.getElementById('settings-dialog'));
+        this.applyUiLanguage(uiLanguage);
+        this.normalizeFullDayCandidates();
+        this.renderCalendar();
+        this.refreshSelectedCells();
+        this.onCandidatesChanged();
+    }
+    
+    // 設定ダイアログに祝日のカレンダーの選択肢を表示
+    renderHolidayCalendarOptions() {
+        const container = document.getElementById('settings-holiday-calendars');
+        const enabled = this.settings.get('holidayCalendars');
+        const providers = window.holidayService ? window.holidayService.getProviders() : [];
+        
+        container.innerHTML = '';
+        providers.forEach(provider => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = provider.id;
+            checkbox.checked = enabled.includes(provider.id);
+            label.append(checkbox, ` ${this.i18n.t(`holidayCalendar.${provider.id}`)}`);
+            container.appendChild(label);
+        });
+    }
+    
+    // 会社の休業日ダイアログを開く
+    openClosuresDialog() {
+        document.getElementById('closures-error').textContent = '';
+        this.updateClosureForm();
+        this.renderClosuresList();
+        this.openModal(document.getElementById('closures-dialog'));
+    }
+    
+    // 休業日の種類に合わせて入力欄を切り替え
+    updateClosureForm() {
+        const type = document.getElementById('closure-type').value;
+        document.getElementById('closure-end-group').hidden = type === 'date';
+        document.getElementById('closure-yearly-hint').hidden = type !== 'yearly';
+    }
+    
+    // 登録済みの休業日の一覧を表示
+    renderClosuresList() {
+        const list = document.getElementById('closures-list');
+        const closures = this.companyClosures.getClosures();
+        list.innerHTML = '';
+        
+        if (closures.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'closures-empty';
+            empty.textContent = this.i18n.t('closures.empty');
+            list.appendChild(empty);
+            return;
+        }
+        
+        closures.forEach(closure => {
+            const item = document.createElement('li');
+            item.className = 'closure-item';
+            
+            const label = document.createElement('span');
+            label.className = 'closure-label';
+            label.textContent = closure.label;
+            
+            const period = document.createElement('span');
+            period.className = 'closure-period';
+            period.textContent = this.formatClosurePeriod(closure);
+            
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'closure-delete';
+            deleteButton.dataset.id = closure.id;
+            deleteButton.textContent = '×';
+            deleteButton.setAttribute('aria-label', `${this.i18n.t('common.delete')}: ${closure.label}`);
+            
+            item.append(label, period, deleteButton);
+            list.appendChild(item);
+        });
+    }
+    
+    // 休業日の期間の表示（例: 2025年12月29日〜2026年1月3日、毎年 12月29日〜1月3日）
+    formatClosurePeriod(closure) {
+        const format = value => {
+            const [year, month, day] = closure.type === 'yearly' ? [null, ...value.split('-')] : value.split('-');
+            const params = { year, month: Number(month), day: Number(day) };
+            return this.i18n.t(closure.type === 'yearly' ? 'closures.monthDay' : 'closures.fullDate', params);
+        };
+        
+        const period = closure.start === closure.end
+            ? format(closure.start)
+            : this.i18n.t('closures.period', { start: format(closure.start), end: format(closure.end) });
+        return closure.type === 'yearly' ? this.i18n.t('closures.everyYear', { period }) : period;
+    }
+    
+    // 入力内容から休業日を追加
+    addClosure() {
+        const type = document.getElementById('closure-type').value;
+        const labelInput = document.getElementById('closure-label');
+        const startInput = document.getElementById('closure-start');
+        const endInput = document.getElementById('closure-end');
+        const error = document.getElementById('closures-error');
+        const label = labelInput.value.trim();
+        
+        if (!label) {
+            error.textContent = this.i18n.t('closures.errorLabel');
+            return;
+        }
+        if (!startInput.value) {
+            error.textContent = this.i18n.t('closures.errorDate');
+            return;
+        }
+        if (type === 'range' && (!endInput.value || endInput.value < startInput.value)) {
+            error.textContent = this.i18n.t('closures.errorRange');
+            return;
+        }
+        
+        // 毎年の場合は月日（MM-DD）だけを使う
+        const toValue = value => type === 'yearly' ? value.slice(5) : value;
+        this.companyClosures.add({
+            type,
+            label,
+            start: toValue(startInput.value),
+            end: endInput.value ? toValue(endInput.value) : null
+        });
+        
+        error.textContent = '';
+        labelInput.value = '';
+        startInput.value = '';
+        endInput.value = '';
+        this.renderClosuresList();
+        this.onHolidaysChanged();
+    }
+    
+    // 休業日を削除
+    removeClosure(id) {
+        this.companyClosures.remove(id);
+        this.renderClosuresList();
+        this.onHolidaysChanged();
+    }
+    
+    // JSONファイルから休業日を読み込む
+    async importClosures(file) {
+        if (!file) return;
+        
+        const error = document.getElementById('closures-error');
+        try {
+            const count = this.companyClosures.importJSON(await file.text());
+            error.textContent = '';
+            this.renderClosuresList();
+            this.onHolidaysChanged();
+            this.showNotification(this.i18n.t('closures.imported', { count }));
+        } catch (importError) {
+            console.warn(`⚠️ ${file.name} の読み込みに失敗:`, importError.message);
+            error.textContent = this.i18n.t('closures.importError', { name: file.name });
+        }
+    }
+    
+    // 祝日・休業日の変更をカレンダーに反映
+    onHolidaysChanged() {
+        this.renderCalendar();
+        this.refreshSelectedCells();
+        this.renderMonthView();
+    }
+    
+    // 時刻（分）の選択肢を生成
+    fillTimeOptions(select, from, to, step, selected) {
+        select.innerHTML = '';
+        for (let minutes = from; minutes <= to; minutes += step) {
+            const option = new Option(`${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`, minutes);
+            option.selected = minutes === selected;
+            select.appendChild(option);
+        }
+    }
+    
+    // 日付を <input type="date"> の値（YYYY-MM-DD）に変換
+    toDateInputValue(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+    
+    // <input type="date"> の値を日付に変換（未入力の場合null）
+    parseDateInputValue(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    }
+    
+    // 繰り返しダイアログを開く（曜日などの入力は前回の内容を残す）
+    openRecurringDialog() {
+        const grid = this.scheduler.getGridTimeRange();
+        const interval = this.scheduler.timeRange.minuteInterval;
+        const gridStart = grid.startHour * 60;
+        const gridEnd = grid.endHour * 60;
+        
+        const startSelect = document.getElementById('recurring-start-time');
+        const endSelect = document.getElementById('recurring-end-time');
+        const start = Math.min(Math.max(parseInt(startSelect.value) || 10 * 60, gridStart), gridEnd - interval);
+        const end = Math.min(Math.max(parseInt(endSelect.value) || start + 60, start + interval), gridEnd);
+        this.fillTimeOptions(startSelect, gridStart, gridEnd - interval, interval, start - (start - gridStart) % interval);
+        this.fillTimeOptions(endSelect, gridStart + interval, gridEnd, interval, end - (end - gridStart) % interval);
+        
+        // 開始週は表示中の週から選ぶ
+        const weekSelect = document.getElementById('recurring-start-week');
+        const monday = this.scheduler.getMonday();
+        monday.setHours(0, 0, 0, 0);
+        weekSelect.innerHTML = '';
+        for (let week = 0; week < 26; week++) {
+            const date = new Date(monday);
+            date.setDate(date.getDate() + week * 7);
+            weekSelect.appendChild(new Option(this.i18n.t('recurring.weekOption', { date: this.i18n.formatDate(date) }),
+                                              this.toDateInputValue(date)));
+        }
+        
+        const untilInput = document.getElementById('recurring-until');
+        if (!untilInput.value) {
+            const until = new Date(monday);
+            until.setDate(until.getDate() + 27);
+            untilInput.value = this.toDateInputValue(until);
+        }
+        
+        this.updateRecurringPreview();
+        this.openModal(document.getElementById('recurring-dialog'));
+    }
+    
+    // 繰り返しダイアログの入力から候補を生成
+    // 戻り値: { error } または { candidates, skipped }
+    getRecurringPreview() {
+        const weekdays = Array.from(document.querySelectorAll('#recurring-weekdays input:checked'))
+            .map(checkbox => parseInt(checkbox.value));
+        const start = parseInt(document.getElementById('recurring-start-time').value);
+        const end = parseInt(document.getElementById('recurring-end-time').value);
+        const startDate = this.parseDateInputValue(document.getElementById('recurring-start-week').value);
+        const endType = document.querySelector('input[name="recurring-end"]:checked').value;
+        const maxWeeks = this.scheduler.maxRecurringWeeks;
+        
+        if (weekdays.length === 0) {
+            return { error: this.i18n.t('recurring.errorWeekdays') };
+        }
+        if (start >= end) {
+            return { error: this.i18n.t('settings.errorRange') };
+        }
+        
+        const pattern = {
+            weekdays,
+            startHour: Math.floor(start / 60),
+            startMinute: start % 60,
+            endHour: Math.floor(end / 60),
+            endMinute: end % 60,
+            startDate,
+            skipHolidays: document.getElementById('recurring-skip-holidays').checked
+        };
+        
+        if (endType === 'until') {
+            const endDate = this.parseDateInputValue(document.getElementById('recurring-until').value);
+            const limit = new Date(startDate);
+            limit.setDate(limit.getDate() + maxWeeks * 7 - 1);
+            
+            if (!endDate || endDate < startDate) {
+                return { error: this.i18n.t('recurring.errorUntil') };
+            }
+            if (endDate > limit) {
+                return { error: this.i18n.t('recurring.errorTooLong', { weeks: maxWeeks }) };
+            }
+            pattern.endDate = endDate;
+        } else {
+            const weeks = Number(document.getElementById('recurring-count').value);
+            if (!Number.isInteger(weeks) || weeks < 1 || weeks > maxWeeks) {
+                return { error: this.i18n.t('recurring.errorCount', { weeks: maxWeeks }) };
+            }
+            pattern.weeks = weeks;
+        }
+        
+        const { candidates, skipped } = this.scheduler.generateRecurringCandidates(pattern);
+        const allowBusy = document.getElementById('busy-override').checked;
+        
+        // 置けない候補（土日・祝日、直前、追加済みの候補と重なる）と既存の予定と重なる候補も除く
+        const accepted = candidates.filter(candidate => {
+            const error = this.scheduler.getPlacementError(candidate, this.selectedCandidates);
+            if (error) {
+                const reason = error === 'offGrid' || error === 'exceedsHours' ? 'outside' : error;
+                skipped.push({ date: candidate.date, reason });
+                return false;
+            }
+            if (!allowBusy && this.findBusyConflicts(candidate).length > 0) {
+                skipped.push({ date: candidate.date, reason: 'busy' });
+                return false;
+            }
+            return true;
+        });
+        
+        skipped.sort((a, b) => a.date - b.date);
+        return { candidates: accepted, skipped };
+    }
+    
+    // 過去、または猶予より前に始まる候補かどうか
+    isStaleCandidate(candidate, earliest = this.scheduler.getEarliestStart()) {
+        return this.scheduler.isTooSoon(candidate.date, candidate.startHour, candidate.startMinute, earliest);
+    }
+    
+    // 過去・直前の候補を取得
+    getStaleCandidates() {
+        const earliest = this.scheduler.getEarliestStart();
+        return this.selectedCandidates.filter(candidate => this.isStaleCandidate(candidate, earliest));
+    }
+    
+    // 猶予の設定を文字にする（例: 今から2営業日後）
+    formatLeadTime() {
+        const { amount, unit } = this.scheduler.leadTime;
+        return amount === 0 ? this.i18n.t('leadTime.now') : this.i18n.t(`leadTime.${unit}`, { count: amount });
+    }
+    
+    // 繰り返しダイアログのプレビューを更新
+    updateRecurringPreview() {
+        const preview = this.getRecurringPreview();
+        const error = document.getElementById('recurring-error');
+        const addButton = document.getElementById('recurring-add-btn');
+        
+        document.getElementById('recurring-count').disabled =
+            document.querySelector('input[name="recurring-end"]:checked').value !== 'count';
+        document.getElementById('recurring-until').disabled =
+            document.querySelector('input[name="recurring-end"]:checked').value !== 'until';
+        
+        if (preview.error) {
+            error.textContent = preview.error;
+            document.getElementById('recurring-preview').textContent = '';
+            addButton.disabled = true;
+            return;
+        }
+        
+        const lines = [this.i18n.t('recurring.summary', { count: preview.candidates.length })];
+        preview.candidates.forEach(candidate => {
+            lines.push(this.textGenerator.formatWallClock(candidate));
+        });
+        preview.skipped.forEach(item => {
+            lines.push(this.i18n.t(`recurring.skipped.${item.reason}`, { date: this.i18n.formatDate(item.date) }));
+        });
+        
+        error.textContent = '';
+        document.getElementById('recurring-preview').textContent = lines.join('\n');
+        addButton.disabled = preview.candidates.length === 0;
+    }
+    
+    // 繰り返しの候補を追加
+    addRecurringCandidates() {
+        const preview = this.getRecurringPreview();
+        if (preview.error || preview.candidates.length === 0) return;
+        
+        this.recordHistory();
+        preview.candidates.forEach(candidate => {
+            this.selectedCandidates.push({ ...candidate, id: this.createCandidateId() });
+        });
+        this.sortCandidates();
+        
+        this.closeModal(document.getElementById('recurring-dialog'));
+        this.refreshSelectedCells();
+        this.onCandidatesChanged();
+        
+        const message = this.i18n.t('a11y.addedMultiple', { count: preview.candidates.length });
+        this.showNotification(message);
+        this.announce(message);
+    }
+    
+    // 保存済みのユーザー定義フォーマットを登録
+    applyCustomFormats() {
+        this.settings.get('customFormats').forEach(format => {
+            this.textGenerator.addFormat(format.key, format.label, format.template, format.fullDayTemplate);
+        });
+        this.textGenerator.setFormat(this.settings.get('outputFormat'));
+    }
+    
+    // フォーマットの選択肢を表示
+    renderFormatSelect() {
+        const select = document.getElementById('format-select');
+        select.innerHTML = '';
+        
+        this.textGenerator.getFormatOptions().forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.key;
+            option.textContent = format.builtIn ? this.i18n.t(`format.${format.key}`) : format.label;
+            option.selected = format.key === this.textGenerator.currentFormat;
+            select.appendChild(option);
+        });
+    }
+    
+    // 相手のタイムゾーンを追加
+    addRecipientTimeZone(name) {
+        const timeZone = this.textGenerator.timeZoneUtil.resolve(name.trim());
+        if (!timeZone) {
+            this.showNotification(this.i18n.t('timezone.invalid', { name: name.trim() }), 'warning');
+            return;
+        }
+        
+        document.getElementById('timezone-input').value = '';
+        if (!this.textGenerator.recipientTimeZones.includes(timeZone)) {
+            this.applyRecipientTimeZones([...this.textGenerator.recipientTimeZones, timeZone]);
+        }
+    }
+    
+    // 相手のタイムゾーンを削除
+    removeRecipientTimeZone(timeZone) {
+        this.applyRecipientTimeZones(this.textGenerator.recipientTimeZones.filter(item => item !== timeZone));
+    }
+    
+    // 相手のタイムゾーンを反映して保存
+    applyRecipientTimeZones(timeZones, mode = this.textGenerator.timeZoneMode) {
+        this.textGenerator.setTimeZones(timeZones, mode);
+        this.settings.update({
+            recipientTimeZones: this.textGenerator.recipientTimeZones,
+            timeZoneMode: this.textGenerator.timeZoneMode
+        });
+        
+        this.renderTimeZoneList();
+        this.updateCandidatesList();
+        this.updateOutputText();
+    }
+    
+    // 選択中の相手のタイムゾーンを表示
+    renderTimeZoneList() {
+        const list = document.getElementById('timezone-list');
+        const now = new Date();
+        list.innerHTML = '';
+        
+        this.textGenerator.recipientTimeZones.forEach(timeZone => {
+            const chip = document.createElement('span');
+            chip.className = 'timezone-chip';
+            chip.textContent = `${timeZone} (${this.textGenerator.timeZoneUtil.getAbbreviation(now, timeZone)})`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'timezone-remove';
+            removeBtn.dataset.timezone = timeZone;
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', this.i18n.t('common.delete'));
+            chip.appendChild(removeBtn);
+            
+            list.appendChild(chip);
+        });
+        
+        document.getElementById('timezone-mode-select').disabled = this.textGenerator.recipientTimeZones.length === 0;
+    }
+    
+    // 出力スタイルの選択肢を表示
+    renderStyleSelect() {
+        const select = document.getElementById('style-select');
+        select.innerHTML = '';
+        
+        Object.keys(this.textGenerator.outputStyles).forEach(key => {
+            select.appendChild(new Option(this.i18n.t(`style.${key}`), key));
+        });
+        select.value = this.getOutputStyle();
+    }
+    
+    // 使わない長さ・間隔の選択を無効にする（間隔は枠に分ける場合のみ）
+    updateSlotControls() {
+        const { mode } = this.textGenerator.slotOptions;
+        document.getElementById('slot-length-select').disabled = mode === 'none';
+        document.getElementById('slot-gap-select').disabled = mode !== 'split';
+    }
+    
+    // 画面の表示言語を切り替え
+    applyUiLanguage(locale) {
+        this.i18n.setLocale(locale);
+        this.i18n.apply();
+        this.renderStyleSelect();
+        this.renderFormatSelect();
+        this.renderDraftSelect();
+        // セルの読み上げ用ラベルも言語に合わせて作り直す
+        this.renderCalendar();
+        this.reapplySelectedCells();
+        this.renderTimeZoneList();
+        this.updateWeekDisplay();
+        this.renderMonthView();
+        this.updateCandidatesList();
+    }
+    
+    // 出力フォーマットを切り替え
+    changeFormat(key) {
+        this.textGenerator.setFormat(key);
+        this.settings.set('outputFormat', this.textGenerator.currentFormat);
+        this.renderFormatSelect();
+        this.updateCandidatesList();
+        this.updateOutputText();
+    }
+    
+    // フォーマット編集ダイアログを開く
+    openFormatDialog() {
+        const target = document.getElementById('format-edit-target');
+        target.innerHTML = '';
+        target.appendChild(new Option(this.i18n.t('format.new'), ''));
+        
+        this.settings.get('customFormats').forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.key;
+            option.textContent = format.label;
+            target.appendChild(option);
+        });
+        
+        // 選択中のフォーマットがユーザー定義なら、それを編集対象にする
+        const current = this.textGenerator.currentFormat;
+        target.value = this.textGenerator.builtInFormats.includes(current) ? '' : current;
+        
+        const tokens = document.getElementById('format-tokens');
+        tokens.innerHTML = '';
+        Object.entries(this.textGenerator.tokens).forEach(([name, description]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'format-token';
+            button.dataset.token = `{${name}}`;
+            button.textContent = `{${name}}`;
+            button.title = this.i18n.t(`token.${name}`, {}, description);
+            tokens.appendChild(button);
+        });
+        
+        this.lastFocusedTemplateInput = document.getElementById('format-template');
+        this.loadFormatIntoDialog(target.value);
+        this.openModal(document.getElementById('format-dialog'));
+    }
+    
+    // 編集対象のフォーマットを入力欄に反映（新規の場合は選択中のフォーマットを元にする）
+    loadFormatIntoDialog(key) {
+        const base = key || this.textGenerator.currentFormat;
+        
+        document.getElementById('format-name').value = key ? this.textGenerator.formatLabels[key] : '';
+        document.getElementById('format-template').value = this.textGenerator.formats[base];
+        document.getElementById('format-fullday-template').value = this.textGenerator.fullDayFormats[base];
+        document.getElementById('format-delete-btn').hidden = !key;
+        document.getElementById('format-error').textContent = '';
+        this.updateFormatPreview();
+    }
+    
+    // カーソル位置にトークンを挿入
+    insertFormatToken(token) {
+        const input = this.lastFocusedTemplateInput;
+        const start = input.selectionStart ?? input.value.length;
+        const end = input.selectionEnd ?? input.value.length;
+        
+        input.value = input.value.slice(0, start) + token + input.value.slice(end);
+        input.focus();
+        input.setSelectionRange(start + token.length, start + token.length);
+        this.updateFormatPreview();
+    }
+    
+    // プレビュー用の候補（未選択の場合は見本を使う）
+    getFormatPreviewCandidates() {
+        if (this.selectedCandidates.length > 0) {
+            return this.textGenerator.mergeContinuousCandidates(this.selectedCandidates).slice(0, 3);
+        }
+        
+        const date = new Date(2025, 2, 4);
+        return [
+            { id: 1, date: date, startHour: 9, startMinute: 0, endHour: 10, endMinute: 30, dayOffset: 1 },
+            { id: 2, date: new Date(2025, 2, 5), startHour: 9, startMinute: 0, endHour: 18, endMinute: 0, dayOffset: 2, isFullDay: true }
+        ];
+    }
+    
+    // フォーマットのプレビューを更新
+    updateFormatPreview() {
+        const template = document.getElementById('format-template').value;
+        const fullDayTemplate = document.getElementById('format-fullday-template').value ||
+                                this.textGenerator.fullDayFormats.standard;
+        
+        const lines = this.getFormatPreviewCandidates().map(candidate => {
+            return this.textGenerator.renderTemplate(candidate.isFullDay ? fullDayTemplate : template, candidate);
+        });
+        document.getElementById('format-preview').textContent = lines.join('\n');
+        
+        const unknown = this.textGenerator.findUnknownTokens(template + fullDayTemplate);
+        document.getElementById('format-error').textContent =
+            unknown.length > 0 ? this.i18n.t('format.unknownTokens', { tokens: unknown.join(' ') }) : '';
+    }
+    
+    // フォーマット編集ダイアログの内容を保存
+    saveFormatDialog() {
+        const key = document.getElementById('format-edit-target').value || `custom-${Date.now()}`;
+        const label = document.getElementById('format-name').value.trim();
+        const template = document.getElementById('format-template').value;
+        const fullDayTemplate = document.getElementById('format-fullday-template').value;
+        const error = document.getElementById('format-error');
+        
+        if (!label) {
+            error.textContent = this.i18n.t('format.errorName');
+            return;
+        }
+        if (!template.trim()) {
+            error.textContent = this.i18n.t('format.errorTemplate');
+            return;
+        }
+        
+        const unknown = this.textGenerator.findUnknownTokens(template + fullDayTemplate);
+        if (unknown.length > 0) {
+            error.textContent = this.i18n.t('format.unknownTokens', { tokens: unknown.join(' ') });
+            return;
+        }
+        
+        const format = { key, label, template, fullDayTemplate };
+        const customFormats = this.settings.get('customFormats').filter(item => item.key !== key);
+        customFormats.push(format);
+        this.settings.set('customFormats', customFormats);
         
-        document.getElementById('today-btn').addEventListener('click', () => {
-            this.scheduler.moveToThisWeek();
-            this.renderCalendar();
-            this.updateWeekDisplay();
-            this.reapplySelectedCells();
-        });
+        this.textGenerator.addFormat(key, label, template, fullDayTemplate);
+        this.closeModal(document.getElementById('format-dialog'));
+        this.changeFormat(key);
+    }
+    
+    // ユーザー定義のフォーマットを削除
+    deleteCustomFormat() {
+        const key = document.getElementById('format-edit-target').value;
+        if (!key) return;
         
-        // ボタン
-        document.getElementById('copy-btn').addEventListener('click', () => {
-            this.copyToClipboard();
-        });
+        const label = this.textGenerator.formatLabels[key];
+        if (!confirm(this.i18n.t('format.confirmDelete', { name: label }))) return;
         
-        document.getElementById('reset-btn').addEventListener('click', () => {
-            this.resetAll();
-        });
+        this.settings.set('customFormats', this.settings.get('customFormats').filter(item => item.key !== key));
+        this.textGenerator.removeFormat(key);
+        this.closeModal(document.getElementById('format-dialog'));
+        this.changeFormat(this.textGenerator.currentFormat);
     }
     
     // 週表示を更新
     updateWeekDisplay() {
-        const monthName = this.scheduler.getMonthName(this.scheduler.currentWeek);
+        const monthName = this.i18n.formatMonthYear(this.scheduler.currentWeek);
         document.getElementById('current-month-year').textContent = monthName;
+        
+        // 移動ボタンの文言は表示に合わせる
+        const isMonth = this.viewMode === 'month';
+        const todayButton = document.getElementById('today-btn');
+        todayButton.dataset.i18n = isMonth ? 'nav.thisMonth' : 'nav.today';
+        todayButton.textContent = this.i18n.t(todayButton.dataset.i18n);
+        
+        [['prev-week', 'prev'], ['next-week', 'next']].forEach(([id, key]) => {
+            const button = document.getElementById(id);
+            button.dataset.i18nAriaLabel = isMonth ? `nav.${key}Month` : `nav.${key}`;
+            button.setAttribute('aria-label', this.i18n.t(button.dataset.i18nAriaLabel));
+        });
+    }
+    
+    // 週表示・月表示を切り替える
+    setViewMode(mode) {
+        this.viewMode = mode;
+        this.settings.set('calendarView', mode);
+        this.applyViewMode();
+    }
+    
+    // 週表示・月表示の状態を画面に反映
+    applyViewMode() {
+        const isMonth = this.viewMode === 'month';
+        
+        document.getElementById('calendar-container').hidden = isMonth;
+        document.getElementById('month-view').hidden = !isMonth;
+        document.getElementById('view-week-btn').setAttribute('aria-pressed', String(!isMonth));
+        document.getElementById('view-month-btn').setAttribute('aria-pressed', String(isMonth));
+        
+        this.updateWeekDisplay();
+        this.renderMonthView();
+    }
+    
+    // 月表示を描画（土日・祝日の色分け、日ごとの候補数、終日の切り替え）
+    // 週表示のときは何もしない
+    renderMonthView() {
+        if (this.viewMode !== 'month') return;
+        
+        const grid = document.getElementById('month-grid');
+        const month = this.scheduler.currentWeek.getMonth();
+        const counts = {};
+        const fullDays = new Set();
+        const earliest = this.scheduler.getEarliestStart();
+        
+        this.selectedCandidates.forEach(candidate => {
+            const key = this.textGenerator.getDateKey(candidate.date);
+            counts[key] = (counts[key] || 0) + 1;
+            if (candidate.isFullDay) {
+                fullDays.add(key);
+            }
+        });
+        
+        grid.innerHTML = '';
+        this.scheduler.getMonthDates().forEach(date => {
+            const key = this.textGenerator.getDateKey(date);
+            const count = counts[key] || 0;
+            const dateLabel = this.i18n.formatDate(date);
+            
+            const cell = document.createElement('div');
+            cell.className = 'month-day';
+            cell.classList.toggle('other-month', date.getMonth() !== month);
+            cell.classList.toggle('today', this.scheduler.isToday(date));
+            cell.classList.toggle('selected', fullDays.has(key));
+            
+            // 色分けは日付ヘッダーと同じく祝日を優先
+            if (this.scheduler.isHoliday(date)) {
+                cell.classList.add('holiday');
+            } else if (this.scheduler.isSaturday(date)) {
+                cell.classList.add('saturday');
+            } else if (this.scheduler.isSunday(date)) {
+                cell.classList.add('sunday');
+            }
+            
+            const openButton = document.createElement('button');
+            openButton.className = 'month-day-open';
+            openButton.dataset.date = key;
+            openButton.setAttribute('aria-label', this.i18n.t('month.openWeek', { date: dateLabel, count }));
+            
+            const dateElement = document.createElement('span');
+            dateElement.className = 'month-day-date';
+            dateElement.textContent = date.getDate();
+            openButton.appendChild(dateElement);
+            
+            // 祝日名は日付の横とツールチップに表示
+            const holidayName = this.getHolidayLabel(date);
+            if (holidayName) {
+                const holidayElement = document.createElement('span');
+                holidayElement.className = 'month-day-holiday';
+                holidayElement.textContent = holidayName;
+                openButton.appendChild(holidayElement);
+                cell.title = holidayName;
+            }
+            
+            if (count > 0) {
+                const badge = document.createElement('span');
+                badge.className = 'month-day-badge';
+                badge.textContent = count;
+                badge.title = this.i18n.t('month.count', { count });
+                openButton.appendChild(badge);
+            }
+            
+            const toggle = document.createElement('button');
+            toggle.className = 'month-day-toggle';
+            toggle.dataset.date = key;
+            toggle.textContent = this.i18n.t('a11y.fullDay');
+            toggle.setAttribute('aria-pressed', String(fullDays.has(key)));
+            // 選択できない日でも、追加済みの終日は解除できるようにする
+            toggle.disabled = !fullDays.has(key) &&
+                (!this.scheduler.isSelectableDate(date) ||
+                 this.scheduler.isTooSoon(date, this.scheduler.getDayTimeRange(date).startHour, 0, earliest));
+            toggle.setAttribute('aria-label', `${dateLabel} ${this.i18n.t('a11y.fullDay')}`);
+            
+            cell.append(openButton, toggle);
+            grid.appendChild(cell);
+        });
     }
     
     // カレンダーを描画
@@ -78,7 +1543,111 @@ class ScheduleApp {
         this.renderTimeColumn();
         this.renderDaysGrid();
         this.updateDateHeaders();
-        this.setupDayHeaderClickEvents(); // カレンダー再描画後にイベントを再設定
+        this.renderBusyCells();
+        this.renderGridRows();
+        this.restoreActiveCell();
+    }
+    
+    // 保存済みの予定（.ics）を復元
+    loadBusyCalendars() {
+        this.store.load('busyCalendars', []).forEach(source => {
+            try {
+                this.busyCalendar.addSource(source.name, source.text);
+            } catch (error) {
+                console.warn(`⚠️ 保存済みの予定を読み込めません (${source.name}):`, error.message);
+            }
+        });
+    }
+    
+    // 読み込んだ予定（.ics）を保存
+    saveBusyCalendars() {
+        const sources = this.busyCalendar.sources.map(source => ({ name: source.name, text: source.text }));
+        this.store.save('busyCalendars', sources);
+    }
+    
+    // .icsファイルを読み込む
+    async importBusyFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
+        
+        let eventCount = 0;
+        for (const file of files) {
+            try {
+                eventCount += this.busyCalendar.addSource(file.name, await file.text());
+            } catch (error) {
+                console.warn(`⚠️ ${file.name} の読み込みに失敗:`, error.message);
+                this.showNotification(this.i18n.t('busy.readError', { name: file.name }), 'warning');
+            }
+        }
+        
+        if (eventCount > 0) {
+            this.saveBusyCalendars();
+            this.renderBusyCells();
+            this.showNotification(this.i18n.t('busy.loaded', { count: eventCount }));
+        }
+    }
+    
+    // 既存の予定と重なるセルに印を付ける
+    renderBusyCells() {
+        const weekDates = this.scheduler.getWeekDates();
+        const weekStart = new Date(weekDates[0].getFullYear(), weekDates[0].getMonth(), weekDates[0].getDate());
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekStart.getDate() + 7);
+        
+        const occurrences = this.busyCalendar.getOccurrences(weekStart, weekEnd);
+        
+        document.querySelectorAll('.time-cell').forEach(cell => {
+            const date = weekDates[parseInt(cell.dataset.day)];
+            const cellStart = new Date(date.getFullYear(), date.getMonth(), date.getDate(),
+                                       parseInt(cell.dataset.hour), parseInt(cell.dataset.minute));
+            const cellEnd = new Date(cellStart.getTime() + this.scheduler.timeRange.minuteInterval * 60000);
+            const conflicts = occurrences.filter(o => o.start < cellEnd && o.end > cellStart);
+            
+            cell.classList.toggle('busy', conflicts.length > 0);
+            if (conflicts.length > 0) {
+                cell.title = conflicts.map(o => o.summary || this.i18n.t('busy.untitled')).join('\n');
+            } else {
+                cell.removeAttribute('title');
+            }
+        });
+        
+        this.updateBusySources();
+    }
+    
+    // 読み込み済みの予定ファイルを表示
+    updateBusySources() {
+        const sources = this.busyCalendar.getSources();
+        const label = document.getElementById('busy-sources');
+        
+        label.textContent = sources.length > 0
+            ? sources.map(source => this.i18n.t('busy.source', { name: source.name, count: source.eventCount }))
+                     .join(this.i18n.t('busy.sourceSeparator'))
+            : this.i18n.t('busy.dropHint');
+        document.getElementById('busy-clear-btn').hidden = sources.length === 0;
+    }
+    
+    // 候補と重なる既存の予定を取得
+    findBusyConflicts(candidate) {
+        const date = candidate.date;
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), candidate.startHour, candidate.startMinute);
+        const end = new Date(date.getFullYear(), date.getMonth(), date.getDate(), candidate.endHour, candidate.endMinute);
+        return this.busyCalendar.findConflicts(start, end);
+    }
+    
+    // 既存の予定と重なる候補を追加してよいか判定
+    canAddOverBusy(candidate) {
+        const conflicts = this.findBusyConflicts(candidate);
+        if (conflicts.length === 0) return true;
+        
+        const names = conflicts.map(o => this.i18n.t('busy.quoted', { name: o.summary || this.i18n.t('busy.untitled') }))
+                               .join(this.i18n.locale === 'ja' ? '' : ', ');
+        if (document.getElementById('busy-override').checked) {
+            this.showNotification(this.i18n.t('busy.overlapping', { names }), 'warning');
+            return true;
+        }
+        
+        this.showNotification(this.i18n.t('busy.blocked', { names }), 'warning');
+        return false;
     }
     
     // 日付ヘッダーのクリックイベントを設定
@@ -94,44 +1663,68 @@ class ScheduleApp {
     
     // 指定した日を終日選択/解除
     selectFullDay(dayIndex) {
-        const weekDates = this.scheduler.getWeekDates();
-        const selectedDate = weekDates[dayIndex];
+        this.toggleFullDay(this.scheduler.getWeekDates()[dayIndex]);
+    }
+    
+    // 日付を指定して終日選択/解除（月表示からは表示中の週以外の日も指定する）
+    toggleFullDay(selectedDate) {
+        const dateKey = this.textGenerator.getDateKey(selectedDate);
+        const dayIndex = this.scheduler.getWeekDates().findIndex(date => this.textGenerator.getDateKey(date) === dateKey);
         const dayHeader = document.querySelector(`.day-header[data-day="${dayIndex}"]`);
         
         // 既に選択されているかチェック
         const existingCandidate = this.selectedCandidates.find(candidate => {
-            return candidate.isFullDay && 
-                   candidate.dayOffset === dayIndex &&
-                   this.textGenerator.getDateKey(candidate.date) === this.textGenerator.getDateKey(selectedDate);
+            return candidate.isFullDay && this.textGenerator.getDateKey(candidate.date) === dateKey;
         });
         
         if (existingCandidate) {
             // 既に選択されている場合は解除
+            this.recordHistory();
             this.selectedCandidates = this.selectedCandidates.filter(c => c.id !== existingCandidate.id);
             if (dayHeader) {
                 dayHeader.classList.remove('selected');
             }
+            this.announceCandidate('a11y.removed', existingCandidate);
         } else {
-            // 新規選択
+            // 土日・祝日を選択できない設定の場合は追加しない
+            if (!this.scheduler.isSelectableDate(selectedDate)) {
+                this.showNotification(this.i18n.t('holiday.blocked', { date: this.i18n.formatDate(selectedDate) }), 'warning');
+                return;
+            }
+            
+            // 新規選択（その日の表示時間全体）
+            const range = this.scheduler.getDayTimeRange(selectedDate);
+            
+            // 過去・直前の日は追加しない
+            if (this.scheduler.isTooSoon(selectedDate, range.startHour)) {
+                this.showNotification(this.i18n.t('leadTime.blocked', {
+                    date: this.i18n.formatDate(selectedDate),
+                    rule: this.formatLeadTime()
+                }), 'warning');
+                return;
+            }
             const candidate = {
-                id: Date.now(),
+                id: this.createCandidateId(),
                 date: selectedDate,
-                startHour: 9,
+                startHour: range.startHour,
                 startMinute: 0,
-                endHour: 18,
+                endHour: range.endHour,
                 endMinute: 0,
                 isFullDay: true,
-                dayOffset: dayIndex
+                dayOffset: (selectedDate.getDay() + 6) % 7
             };
             
+            if (!this.canAddOverBusy(candidate)) return;
+            
+            this.recordHistory();
             this.selectedCandidates.push(candidate);
             if (dayHeader) {
                 dayHeader.classList.add('selected');
             }
+            this.announceCandidate('a11y.added', candidate);
         }
         
-        this.updateCandidatesList();
-        this.updateOutputText();
+        this.onCandidatesChanged();
     }
     
     // 時間軸を描画
@@ -140,8 +1733,12 @@ class ScheduleApp {
         timeColumn.innerHTML = '';
         
         const timeSlots = this.scheduler.generateTimeSlots();
+        const slotsPerHour = 60 / this.scheduler.timeRange.minuteInterval;
         let skipNext = 0;
         
+        // セルの高さは1時間の高さをスロット数で割って決める（CSS変数）
+        document.getElementById('calendar-unified').style.setProperty('--slots-per-hour', slotsPerHour);
+        
         timeSlots.forEach((slot, index) => {
             if (skipNext > 0) {
                 skipNext--;
@@ -154,7 +1751,9 @@ class ScheduleApp {
             if (slot.isHourMark) {
                 timeSlot.classList.add('hour-mark');
                 timeSlot.textContent = slot.timeString;
-                skipNext = 3; // 次の3つのスロットをスキップ
+                timeSlot.id = `time-label-${slot.hour}`;
+                timeSlot.setAttribute('role', 'rowheader');
+                skipNext = slotsPerHour - 1; // 同じ時間帯の残りのスロットをスキップ
             }
             
             timeColumn.appendChild(timeSlot);
@@ -168,11 +1767,23 @@ class ScheduleApp {
         existingDayColumns.forEach(col => col.remove());
         
         const timeSlots = this.scheduler.generateTimeSlots();
+        const weekDates = this.scheduler.getWeekDates();
+        const interval = this.scheduler.timeRange.minuteInterval;
+        const earliest = this.scheduler.getEarliestStart();
         
         for (let dayOffset = 0; dayOffset < 7; dayOffset++) {
+            const date = weekDates[dayOffset];
             const dayColumn = document.createElement('div');
             dayColumn.className = 'day-column';
             dayColumn.dataset.dayOffset = dayOffset;
+            dayColumn.setAttribute('role', 'presentation');
+            
+            // 祝日名はセルのツールチップにも表示
+            const holidayName = this.getHolidayLabel(date);
+            if (holidayName) {
+                dayColumn.title = holidayName;
+            }
+            const isBlocked = !this.scheduler.isSelectableDate(date);
             
             // 各日の時間セル
             timeSlots.forEach(slot => {
@@ -181,40 +1792,38 @@ class ScheduleApp {
                 timeCell.dataset.day = dayOffset;
                 timeCell.dataset.hour = slot.hour;
                 timeCell.dataset.minute = slot.minute;
+                timeCell.id = `cell-${dayOffset}-${slot.hour}-${slot.minute}`;
+                timeCell.setAttribute('role', 'gridcell');
+                timeCell.setAttribute('aria-selected', 'false');
+                timeCell.tabIndex = -1;
                 
-                // 時間境界（毎時45分）にクラスを追加
-                if (slot.minute === 45) {
+                const endMinutes = slot.hour * 60 + slot.minute + interval;
+                const endTime = `${Math.floor(endMinutes / 60)}:${String(endMinutes % 60).padStart(2, '0')}`;
+                timeCell.setAttribute('aria-label', `${this.i18n.formatDate(date)} ${slot.timeString}〜${endTime}`);
+                
+                // 時間境界（毎時最後のスロット）にクラスを追加
+                if (slot.minute + interval >= 60) {
                     timeCell.classList.add('hour-boundary');
                 }
                 
-                // イベントリスナー
-                timeCell.addEventListener('mousedown', (e) => {
-                    this.startSelection(e);
-                });
-                
-                timeCell.addEventListener('mouseover', (e) => {
-                    this.updateSelection(e);
-                });
-                
-                timeCell.addEventListener('mouseup', (e) => {
-                    this.endSelection(e);
-                });
+                // 曜日別の表示時間外は選択不可（土日・祝日を選択できない設定の場合はその日全体）
+                if (isBlocked) {
+                    timeCell.classList.add('outside-hours', 'blocked-day');
+                    timeCell.setAttribute('aria-disabled', 'true');
+                } else if (!this.scheduler.isWithinDayHours(date, slot.hour, slot.minute)) {
+                    timeCell.classList.add('outside-hours');
+                    timeCell.setAttribute('aria-disabled', 'true');
+                } else if (this.scheduler.isTooSoon(date, slot.hour, slot.minute, earliest)) {
+                    // 過去と、猶予より前の時間も選択不可
+                    timeCell.classList.add('outside-hours', 'too-soon');
+                    timeCell.setAttribute('aria-disabled', 'true');
+                }
                 
                 dayColumn.appendChild(timeCell);
             });
             
             calendarUnified.appendChild(dayColumn);
         }
-        
-        // マウスアップイベントをドキュメント全体に追加（重複回避）
-        if (!this.documentMouseUpListenerAdded) {
-            document.addEventListener('mouseup', () => {
-                if (this.isSelecting) {
-                    this.endSelection();
-                }
-            });
-            this.documentMouseUpListenerAdded = true;
-        }
     }
     
     // 日付ヘッダーを更新
@@ -228,6 +1837,17 @@ class ScheduleApp {
             
             dateElement.textContent = date.getDate();
             
+            // 祝日名（例: 海の日）を日付の下とツールチップに表示
+            const holidayName = this.getHolidayLabel(date);
+            document.getElementById(`holiday-${index}`).textContent = holidayName || '';
+            headerElement.title = holidayName || '';
+            headerElement.setAttribute('aria-label',
+                [this.i18n.formatDate(date), holidayName, this.i18n.t('a11y.fullDay')].filter(Boolean).join(' '));
+            
+            const isBlocked = !this.scheduler.isSelectableDate(date);
+            headerElement.classList.toggle('blocked', isBlocked);
+            headerElement.setAttribute('aria-disabled', String(isBlocked));
+            
             // 既存のクラスをクリア
             headerElement.classList.remove('today', 'saturday', 'sunday', 'holiday');
             if (columnElement) {
@@ -262,62 +1882,468 @@ class ScheduleApp {
         });
     }
     
-    // セルが既に選択されているかチェック
-    isSelectedCell(cell) {
-        return cell.classList.contains('selected') && cell.dataset.candidateId;
-    }
-
-    // 選択されたセルに対応する候補を見つける
-    findCandidateByCell(cell) {
-        const candidateId = parseInt(cell.dataset.candidateId);
-        return this.selectedCandidates.find(candidate => candidate.id === candidateId);
+    // 祝日の表示名（名前が分からない場合は「祝日」、祝日でない場合null）
+    getHolidayLabel(date) {
+        if (!this.scheduler.isHoliday(date)) return null;
+        
+        const holidays = this.scheduler.getHolidayNames(date);
+        if (holidays.length === 0) return this.i18n.t('holiday.generic');
+        
+        // 複数のカレンダーを使っている場合はどのカレンダーの祝日かを添える
+        if (this.settings.get('holidayCalendars').length < 2) {
+            return holidays.map(holiday => holiday.name).join(' / ');
+        }
+        return holidays.map(holiday => this.i18n.t('holiday.withCalendar', {
+            name: holiday.name,
+            calendar: this.i18n.t(`holidayCalendar.${holiday.providerId}`)
+        })).join(' / ');
+    }
+    
+    // セルが既に選択されているかチェック
+    isSelectedCell(cell) {
+        return cell.classList.contains('selected') && cell.dataset.candidateId;
+    }
+
+    // 選択されたセルに対応する候補を見つける
+    findCandidateByCell(cell) {
+        const candidateId = parseInt(cell.dataset.candidateId);
+        return this.selectedCandidates.find(candidate => candidate.id === candidateId);
+    }
+
+    // ARIAグリッドの行を生成（セルは列ごとに並んでいるため、aria-owns で行にまとめる）
+    renderGridRows() {
+        const calendarUnified = document.getElementById('calendar-unified');
+        calendarUnified.querySelectorAll('.aria-row').forEach(row => row.remove());
+        
+        const rows = [];
+        const headerRow = document.createElement('div');
+        headerRow.setAttribute('aria-owns', ['time-column-header', 0, 1, 2, 3, 4, 5, 6]
+            .map(id => typeof id === 'number' ? `day-header-${id}` : id).join(' '));
+        rows.push(headerRow);
+        
+        this.scheduler.generateTimeSlots().forEach(slot => {
+            const row = document.createElement('div');
+            const ids = [];
+            if (slot.isHourMark) {
+                ids.push(`time-label-${slot.hour}`);
+            }
+            for (let day = 0; day < 7; day++) {
+                ids.push(`cell-${day}-${slot.hour}-${slot.minute}`);
+            }
+            row.setAttribute('aria-owns', ids.join(' '));
+            rows.push(row);
+        });
+        
+        // 末尾に追加すると :last-child のスタイルが崩れるため先頭に入れる
+        rows.reverse().forEach(row => {
+            row.className = 'aria-row';
+            row.setAttribute('role', 'row');
+            calendarUnified.prepend(row);
+        });
+    }
+    
+    // セル・日付ヘッダーの aria-selected を選択状態に合わせる
+    updateAriaSelected() {
+        document.querySelectorAll('#calendar-unified .time-cell, #calendar-unified .day-header').forEach(element => {
+            element.setAttribute('aria-selected', element.classList.contains('selected') ? 'true' : 'false');
+        });
+    }
+    
+    // キーボード操作でフォーカスを受けるセルを設定
+    setActiveCell(element, focus = false) {
+        document.querySelectorAll('#calendar-unified [tabindex="0"]').forEach(item => {
+            item.tabIndex = -1;
+        });
+        
+        element.tabIndex = 0;
+        this.activeCellSelector = element.classList.contains('day-header')
+            ? `.day-header[data-day="${element.dataset.day}"]`
+            : `.time-cell[data-day="${element.dataset.day}"][data-hour="${element.dataset.hour}"][data-minute="${element.dataset.minute}"]`;
+        
+        if (focus) {
+            element.focus();
+        }
+    }
+    
+    // 再描画後にフォーカスを受けるセルを復元
+    restoreActiveCell() {
+        const grid = document.getElementById('calendar-unified');
+        const hadFocus = grid.contains(document.activeElement);
+        const element = (this.activeCellSelector && grid.querySelector(this.activeCellSelector)) ||
+                        grid.querySelector('.time-cell:not(.outside-hours)') ||
+                        grid.querySelector('.day-header');
+        
+        this.setActiveCell(element, hadFocus);
+    }
+    
+    // 矢印キー等で移動する先のセルを取得
+    getNeighborCell(element, key) {
+        const day = parseInt(element.dataset.day);
+        
+        if (element.classList.contains('day-header')) {
+            switch (key) {
+                case 'ArrowLeft':
+                    return document.querySelector(`.day-header[data-day="${day - 1}"]`);
+                case 'ArrowRight':
+                    return document.querySelector(`.day-header[data-day="${day + 1}"]`);
+                case 'ArrowDown':
+                    return document.querySelector(`.time-cell[data-day="${day}"]`);
+                default:
+                    return null;
+            }
+        }
+        
+        const column = Array.from(document.querySelectorAll(`.time-cell[data-day="${day}"]`));
+        const index = column.indexOf(element);
+        
+        switch (key) {
+            case 'ArrowUp':
+                return index > 0 ? column[index - 1] : document.querySelector(`.day-header[data-day="${day}"]`);
+            case 'ArrowDown':
+                return column[index + 1] || null;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const nextDay = key === 'ArrowLeft' ? day - 1 : day + 1;
+                return document.querySelector(
+                    `.time-cell[data-day="${nextDay}"][data-hour="${element.dataset.hour}"][data-minute="${element.dataset.minute}"]`
+                );
+            }
+            case 'Home':
+                return column[0];
+            case 'End':
+                return column[column.length - 1];
+            default:
+                return null;
+        }
+    }
+    
+    // セルの位置情報
+    getCellPosition(cell) {
+        return {
+            day: parseInt(cell.dataset.day),
+            hour: parseInt(cell.dataset.hour),
+            minute: parseInt(cell.dataset.minute)
+        };
+    }
+    
+    // セルの右上に時間表示を出すための座標
+    getCellAnchor(cell) {
+        const rect = cell.getBoundingClientRect();
+        return { clientX: rect.right, clientY: rect.top };
+    }
+    
+    // カレンダーのキー操作
+    // 矢印キー: 移動 / Shift+矢印: 範囲選択 / Enter・Space: 追加・解除 / Escape: 範囲選択の取り消し
+    handleGridKeydown(event) {
+        const element = event.target.closest('.time-cell, .day-header');
+        if (!element || event.ctrlKey || event.metaKey || event.altKey) return;
+        
+        const isHeader = element.classList.contains('day-header');
+        
+        switch (event.key) {
+            case 'ArrowUp':
+            case 'ArrowDown':
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'Home':
+            case 'End': {
+                event.preventDefault();
+                const next = this.getNeighborCell(element, event.key);
+                if (!next) return;
+                
+                const isCellMove = next.classList.contains('time-cell') && !isHeader;
+                if (event.shiftKey && isCellMove) {
+                    this.extendKeyboardSelection(element, next);
+                } else {
+                    this.cancelKeyboardSelection();
+                }
+                this.setActiveCell(next, true);
+                break;
+            }
+            case 'Enter':
+            case ' ':
+                event.preventDefault();
+                if (isHeader) {
+                    this.selectFullDay(parseInt(element.dataset.day));
+                } else {
+                    this.commitKeyboardSelection(element);
+                }
+                break;
+            case 'Escape':
+                this.cancelKeyboardSelection();
+                break;
+        }
+    }
+    
+    // Shift+矢印キーで選択範囲を広げる
+    extendKeyboardSelection(from, to) {
+        if (!this.isKeyboardSelecting) {
+            if (from.classList.contains('outside-hours')) return;
+            this.isKeyboardSelecting = true;
+            this.excludeNonBusinessDays = false;
+            this.selectionStart = this.getCellPosition(from);
+        }
+        
+        // 表示時間外のセルには広げない
+        if (this.canExtendSelectionTo(to)) {
+            this.selectionEnd = this.getCellPosition(to);
+        }
+        this.updateSelectionDisplay();
+        this.showDragTimeDisplay(this.getCellAnchor(to));
+    }
+    
+    // Enter・Spaceで選択範囲を追加（範囲が無い場合はセル1つを追加、選択済みなら解除）
+    commitKeyboardSelection(cell) {
+        if (this.isKeyboardSelecting) {
+            this.isKeyboardSelecting = false;
+            this.addCandidate();
+            this.clearSelectionDisplay();
+            return;
+        }
+        
+        if (cell.classList.contains('outside-hours')) return;
+        
+        if (this.isSelectedCell(cell)) {
+            const candidate = this.findCandidateByCell(cell);
+            if (candidate) {
+                this.removeCandidate(candidate.id);
+            }
+            return;
+        }
+        
+        if (this.placementDuration > 0) {
+            this.placeDurationBlock(cell);
+            return;
+        }
+        
+        this.selectionStart = this.getCellPosition(cell);
+        this.selectionEnd = { ...this.selectionStart };
+        this.addCandidate();
+    }
+    
+    // 範囲選択を広げられるセルかどうか
+    // 選択できない日（土日・祝日）は、その日を飛ばして先の日まで広げられるようにする
+    canExtendSelectionTo(cell) {
+        return !cell.classList.contains('outside-hours') || cell.classList.contains('blocked-day');
+    }
+    
+    // キーボードでの範囲選択を取り消す
+    cancelKeyboardSelection() {
+        if (!this.isKeyboardSelecting) return;
+        
+        this.isKeyboardSelecting = false;
+        this.selectionStart = null;
+        this.selectionEnd = null;
+        this.clearSelectionDisplay();
+    }
+    
+    // スクリーンリーダーに読み上げる
+    announce(message) {
+        const region = document.getElementById('live-region');
+        region.textContent = '';
+        // 同じ文言が続いても読み上げられるよう、いったん空にしてから設定する
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+    
+    // 候補の追加・削除を読み上げる
+    announceCandidate(key, candidate) {
+        this.announce(this.i18n.t(key, { text: this.textGenerator.formatWallClock(candidate) }));
+    }
+    
+    // ドラッグ選択のポインター操作を設定
+    // マウスは押した時点で選択開始、タッチ・ペンは長押しで選択開始（長押し前に動かした場合はスクロール）
+    setupPointerSelection() {
+        const calendarUnified = document.getElementById('calendar-unified');
+        
+        calendarUnified.addEventListener('pointerdown', (e) => {
+            const cell = e.target.closest('.time-cell');
+            if (!cell || !e.isPrimary) return;
+            
+            this.excludeNonBusinessDays = e.altKey;
+            
+            if (e.pointerType === 'mouse') {
+                if (e.button !== 0) return;
+                e.preventDefault();
+                this.startSelection(cell, e);
+            } else {
+                this.startLongPress(cell, e);
+            }
+        });
+        
+        // タッチ中はポインターが押したセルに固定されるため、座標からセルを求める
+        document.addEventListener('pointermove', (e) => {
+            if (this.pendingPress && this.pendingPress.pointerId === e.pointerId) {
+                const { clientX, clientY } = this.pendingPress;
+                if (Math.hypot(e.clientX - clientX, e.clientY - clientY) > this.longPressTolerance) {
+                    this.cancelLongPress();
+                }
+                return;
+            }
+            
+            if (this.isPointerDragging()) {
+                this.excludeNonBusinessDays = e.altKey;
+                this.updateSelection(this.getCellFromPoint(e.clientX, e.clientY), e);
+            }
+        });
+        
+        document.addEventListener('pointerup', (e) => {
+            if (this.pendingPress && this.pendingPress.pointerId === e.pointerId) {
+                // 長押しせずに離した場合はタップ（クリックと同じ扱い）
+                const { cell } = this.pendingPress;
+                this.cancelLongPress();
+                this.startSelection(cell, e);
+                this.endSelection();
+                return;
+            }
+            
+            if (this.isPointerDragging()) {
+                this.endSelection();
+            }
+        });
+        
+        document.addEventListener('pointercancel', () => {
+            this.cancelLongPress();
+            this.cancelPointerSelection();
+        });
+        
+        // 長さ指定モードでは、マウスを乗せたセルから置く位置をプレビュー
+        calendarUnified.addEventListener('pointermove', (e) => {
+            if (e.pointerType !== 'mouse' || this.isPointerDragging()) return;
+            this.updateDurationPreview(e.target.closest('.time-cell'), e);
+        });
+        
+        calendarUnified.addEventListener('pointerleave', () => {
+            this.clearDurationPreview();
+        });
+        
+        // 選択中はタッチによるスクロールと長押しメニューを止める
+        calendarUnified.addEventListener('touchmove', (e) => {
+            if (this.isPointerDragging()) {
+                e.preventDefault();
+            }
+        }, { passive: false });
+        
+        calendarUnified.addEventListener('contextmenu', (e) => {
+            if (this.isPointerDragging() || this.pendingPress) {
+                e.preventDefault();
+            }
+        });
+    }
+    
+    // 長押しの判定を開始
+    startLongPress(cell, event) {
+        this.cancelLongPress();
+        
+        const press = {
+            pointerId: event.pointerId,
+            pointerType: event.pointerType,
+            cell,
+            clientX: event.clientX,
+            clientY: event.clientY
+        };
+        press.timer = setTimeout(() => {
+            this.pendingPress = null;
+            this.startSelection(cell, press);
+            
+            // 選択が始まったことを振動で知らせる
+            if (this.isSelecting && navigator.vibrate) {
+                navigator.vibrate(10);
+            }
+        }, this.longPressDelay);
+        
+        this.pendingPress = press;
+    }
+    
+    // 長押しの判定を取り消す
+    cancelLongPress() {
+        if (!this.pendingPress) return;
+        
+        clearTimeout(this.pendingPress.timer);
+        this.pendingPress = null;
+    }
+    
+    // ドラッグ中かどうか（新しい範囲の選択、または候補の移動・伸縮）
+    isPointerDragging() {
+        return this.isSelecting || this.candidateDrag !== null;
+    }
+    
+    // ドラッグ選択を確定せずに終了
+    cancelPointerSelection() {
+        if (this.candidateDrag) {
+            this.cancelCandidateDrag();
+            return;
+        }
+        if (!this.isSelecting) return;
+        
+        this.isSelecting = false;
+        this.selectionStart = null;
+        this.selectionEnd = null;
+        this.clearSelectionDisplay();
+    }
+    
+    // 座標にあるセルを取得
+    getCellFromPoint(clientX, clientY) {
+        const element = document.elementFromPoint(clientX, clientY);
+        return element ? element.closest('.time-cell') : null;
     }
-
+    
     // 選択開始
-    startSelection(event) {
-        event.preventDefault();
+    startSelection(cell, point) {
+        // 表示時間外のセルは選択できない
+        if (cell.classList.contains('outside-hours')) return;
         
-        const cell = event.target;
+        // キーボード操作の起点をクリックしたセルに合わせる
+        this.cancelKeyboardSelection();
+        this.setActiveCell(cell);
         
-        // 既に選択されているセルをクリックした場合はトグル（解除）
+        // 既に選択されているセルは候補の移動・伸縮を開始（動かさずに離した場合は解除）
         if (this.isSelectedCell(cell)) {
             const candidate = this.findCandidateByCell(cell);
             if (candidate) {
-                this.removeCandidate(candidate.id);
+                this.startCandidateDrag(candidate, cell, point);
             }
             return; // ドラッグ選択は開始しない
         }
         
+        // 長さ指定モードでは押したセルから決まった長さの候補を置く
+        if (this.placementDuration > 0) {
+            this.placeDurationBlock(cell);
+            this.updateDurationPreview(cell, point);
+            return;
+        }
+        
         // 通常のドラッグ選択開始
         this.isSelecting = true;
-        this.selectionStart = {
-            day: parseInt(event.target.dataset.day),
-            hour: parseInt(event.target.dataset.hour),
-            minute: parseInt(event.target.dataset.minute)
-        };
+        this.dragPointerType = point.pointerType || 'mouse';
+        this.selectionStart = this.getCellPosition(cell);
         this.selectionEnd = { ...this.selectionStart };
         this.updateSelectionDisplay();
-        this.showDragTimeDisplay(event);
+        this.showDragTimeDisplay(point);
     }
     
     // 選択更新
-    updateSelection(event) {
-        if (!this.isSelecting) return;
-        
-        const day = parseInt(event.target.dataset.day);
-        const hour = parseInt(event.target.dataset.hour);
-        const minute = parseInt(event.target.dataset.minute);
-        
-        // 同じ日のみ選択可能
-        if (day === this.selectionStart.day) {
-            this.selectionEnd = { day, hour, minute };
-            this.updateSelectionDisplay();
-            this.updateDragTimeDisplay(event);
+    updateSelection(cell, point) {
+        if (this.candidateDrag) {
+            this.updateCandidateDrag(cell, point);
+            return;
         }
+        if (!this.isSelecting || !cell) return;
+        if (!this.canExtendSelectionTo(cell)) return;
+        
+        // 別の日にまたがる場合は、各日の同じ時間帯をまとめて選択
+        this.selectionEnd = this.getCellPosition(cell);
+        this.updateSelectionDisplay();
+        this.updateDragTimeDisplay(point);
     }
     
     // 選択終了
-    endSelection(event) {
+    endSelection() {
+        if (this.candidateDrag) {
+            this.endCandidateDrag();
+            return;
+        }
         if (!this.isSelecting) return;
         
         this.isSelecting = false;
@@ -330,11 +2356,252 @@ class ScheduleApp {
         this.hideDragTimeDisplay();
     }
     
+    // 長さ指定モードで、セルを開始時刻として置く候補を求める
+    // 置けない場合は理由（Scheduler.getPlacementError の値）を reason に入れる
+    getDurationBlock(cell) {
+        const position = this.getCellPosition(cell);
+        const date = this.scheduler.getWeekDates()[position.day];
+        const startTime = position.hour * 60 + position.minute;
+        const endTime = startTime + this.placementDuration;
+        const candidate = {
+            date: new Date(date),
+            startHour: position.hour,
+            startMinute: position.minute,
+            endHour: Math.floor(endTime / 60),
+            endMinute: endTime % 60,
+            dayOffset: position.day
+        };
+        
+        const reason = this.scheduler.getPlacementError(candidate, this.selectedCandidates);
+        return { candidate, reason, startTime, endTime };
+    }
+    
+    // 候補を置けない理由の文言（通知とプレビューで共通）
+    getPlacementMessage(candidate, reason) {
+        return this.i18n.t(`duration.${reason}`, { text: this.textGenerator.formatWallClock(candidate) });
+    }
+    
+    // 長さ指定モードで候補を置く（置けない位置の場合は理由を通知）
+    placeDurationBlock(cell) {
+        const { candidate, reason } = this.getDurationBlock(cell);
+        
+        if (reason) {
+            const message = this.getPlacementMessage(candidate, reason);
+            this.showNotification(message, 'warning');
+            this.announce(message);
+            return;
+        }
+        
+        // 既存の予定と重なる場合は追加しない（上書き指定時を除く）
+        if (!this.canAddOverBusy(candidate)) return;
+        
+        candidate.id = this.createCandidateId();
+        this.recordHistory();
+        this.selectedCandidates.push(candidate);
+        this.sortCandidates();
+        this.markSelectedCells(candidate);
+        this.onCandidatesChanged();
+        this.announceCandidate('a11y.added', candidate);
+    }
+    
+    // 長さ指定モードで置く位置をプレビュー（置けない位置は赤で表示）
+    updateDurationPreview(cell, point) {
+        this.clearDurationPreview();
+        if (!cell || this.placementDuration === 0 ||
+            cell.classList.contains('outside-hours') || this.isSelectedCell(cell)) {
+            return;
+        }
+        
+        const { candidate, reason, startTime, endTime } = this.getDurationBlock(cell);
+        document.querySelectorAll(`.time-cell[data-day="${candidate.dayOffset}"]`).forEach(target => {
+            const cellTime = parseInt(target.dataset.hour) * 60 + parseInt(target.dataset.minute);
+            if (cellTime >= startTime && cellTime < endTime) {
+                target.classList.add('duration-preview');
+                target.classList.toggle('duration-preview-invalid', reason !== null);
+            }
+        });
+        
+        const display = document.getElementById('drag-time-display');
+        display.textContent = reason ? `⚠ ${this.getPlacementMessage(candidate, reason)}` : this.formatDragTime(candidate);
+        display.style.display = 'block';
+        this.positionDragTimeDisplay(display, point);
+    }
+    
+    // 置く位置のプレビューを消す
+    clearDurationPreview() {
+        const cells = document.querySelectorAll('.time-cell.duration-preview');
+        if (cells.length === 0) return;
+        
+        cells.forEach(cell => cell.classList.remove('duration-preview', 'duration-preview-invalid'));
+        this.hideDragTimeDisplay();
+    }
+    
+    // 押した位置から、候補の移動・上端の伸縮・下端の伸縮のどれかを判定
+    getCandidateDragMode(cell, point) {
+        const rect = cell.getBoundingClientRect();
+        const handleSize = this.resizeHandleSize[point.pointerType === 'mouse' ? 'mouse' : 'touch'];
+        const edge = Math.min(handleSize, rect.height / 3);
+        
+        if (cell.classList.contains('candidate-start') && point.clientY - rect.top <= edge) {
+            return 'resize-start';
+        }
+        if (cell.classList.contains('candidate-end') && rect.bottom - point.clientY <= edge) {
+            return 'resize-end';
+        }
+        return 'move';
+    }
+    
+    // 候補の移動・伸縮を開始
+    startCandidateDrag(candidate, cell, point) {
+        this.dragPointerType = point.pointerType || 'mouse';
+        this.candidateDrag = {
+            candidate,
+            // 終日の候補は時間を変えられないため、離したときの解除のみ
+            mode: candidate.isFullDay ? 'none' : this.getCandidateDragMode(cell, point),
+            origin: this.getCellPosition(cell),
+            original: { ...candidate, date: new Date(candidate.date) },
+            // 元に戻す用の変更前の候補リスト
+            before: this.selectedCandidates.map(item => ({ ...item, date: new Date(item.date) })),
+            moved: false,
+            pointerMoved: false
+        };
+        document.getElementById('calendar-unified').classList.add('candidate-dragging');
+    }
+    
+    // ポインターの位置に合わせて候補を移動・伸縮（表示時間内に収まる場合のみ）
+    updateCandidateDrag(cell, point) {
+        const drag = this.candidateDrag;
+        if (!cell || drag.mode === 'none' || cell.classList.contains('outside-hours')) return;
+        
+        const position = this.getCellPosition(cell);
+        if (!drag.moved && position.day === drag.origin.day &&
+            position.hour === drag.origin.hour && position.minute === drag.origin.minute) {
+            return;
+        }
+        // 動かせない位置にしか動かさなかった場合も、クリック（解除）とは区別する
+        drag.pointerMoved = true;
+        
+        const interval = this.scheduler.timeRange.minuteInterval;
+        const original = drag.original;
+        const cellTime = position.hour * 60 + position.minute;
+        let startTime = original.startHour * 60 + original.startMinute;
+        let endTime = original.endHour * 60 + original.endMinute;
+        let day = original.dayOffset;
+        
+        if (drag.mode === 'move') {
+            const delta = cellTime - (drag.origin.hour * 60 + drag.origin.minute);
+            startTime += delta;
+            endTime += delta;
+            day += position.day - drag.origin.day;
+        } else if (drag.mode === 'resize-start') {
+            startTime = Math.min(cellTime, endTime - interval);
+        } else {
+            endTime = Math.max(cellTime + interval, startTime + interval);
+        }
+        
+        const date = this.scheduler.getWeekDates()[day];
+        if (!date) return;
+        
+        const moved = {
+            id: drag.candidate.id,
+            date: new Date(date),
+            dayOffset: day,
+            startHour: Math.floor(startTime / 60),
+            startMinute: startTime % 60,
+            endHour: Math.floor(endTime / 60),
+            endMinute: endTime % 60
+        };
+        
+        // 表示時間外・過去や直前・他の候補と重なる位置には動かさない（直前の有効な位置に留める）
+        if (this.scheduler.getPlacementError(moved, this.selectedCandidates)) {
+            return;
+        }
+        
+        Object.assign(drag.candidate, moved);
+        drag.moved = true;
+        
+        // グリッド・候補リスト・出力をその場で更新（保存と履歴は離したときに行う）
+        this.refreshSelectedCells();
+        this.updateCandidatesList();
+        this.updateOutputText();
+        this.showCandidateDragTime(drag.candidate, point);
+    }
+    
+    // 候補の移動・伸縮を確定
+    endCandidateDrag() {
+        const drag = this.candidateDrag;
+        this.candidateDrag = null;
+        document.getElementById('calendar-unified').classList.remove('candidate-dragging');
+        this.hideDragTimeDisplay();
+        
+        // 動かさずに離した場合はこれまでどおり解除（動かせる位置が無かった場合はそのまま）
+        if (!drag.moved) {
+            if (!drag.pointerMoved) {
+                this.removeCandidate(drag.candidate.id);
+            }
+            return;
+        }
+        
+        // 既存の予定と重なる位置には動かさない（上書き指定時を除く）
+        if (!this.canAddOverBusy(drag.candidate)) {
+            this.candidateDrag = drag;
+            this.cancelCandidateDrag();
+            return;
+        }
+        
+        this.history.record(drag.before);
+        this.updateHistoryButtons();
+        this.sortCandidates();
+        this.refreshSelectedCells();
+        this.onCandidatesChanged();
+        this.announceCandidate('a11y.changed', drag.candidate);
+    }
+    
+    // 候補の移動・伸縮を取り消して元に戻す
+    cancelCandidateDrag() {
+        const drag = this.candidateDrag;
+        this.candidateDrag = null;
+        document.getElementById('calendar-unified').classList.remove('candidate-dragging');
+        this.hideDragTimeDisplay();
+        
+        if (drag.moved) {
+            Object.assign(drag.candidate, drag.original);
+            this.refreshSelectedCells();
+            this.updateCandidatesList();
+            this.updateOutputText();
+        }
+    }
+    
+    // 移動・伸縮中の候補の時間を表示
+    showCandidateDragTime(candidate, point) {
+        const display = document.getElementById('drag-time-display');
+        let timeText = this.formatDragTime(candidate);
+        
+        if (this.findBusyConflicts(candidate).length > 0) {
+            timeText += ` ${this.i18n.t('busy.conflictMark')}`;
+        }
+        
+        display.textContent = timeText;
+        display.style.display = 'block';
+        this.positionDragTimeDisplay(display, point);
+    }
+    
+    // ドラッグ中に表示する時間（相手のタイムゾーンでの時刻も併記）
+    formatDragTime(candidate) {
+        const pad = minute => String(minute).padStart(2, '0');
+        let timeText = `${candidate.startHour}:${pad(candidate.startMinute)}〜${candidate.endHour}:${pad(candidate.endMinute)}`;
+        
+        this.textGenerator.recipientTimeZones.forEach(timeZone => {
+            timeText += ` / ${this.textGenerator.formatTimeRangeInZone(candidate, timeZone)}`;
+        });
+        return timeText;
+    }
+    
     // 選択表示を更新
     updateSelectionDisplay() {
         // すべてのセルから選択クラスを削除
         document.querySelectorAll('.time-cell').forEach(cell => {
-            cell.classList.remove('selecting');
+            cell.classList.remove('selecting', 'conflict');
         });
         
         if (!this.selectionStart || !this.selectionEnd) return;
@@ -346,13 +2613,18 @@ class ScheduleApp {
         const maxTime = Math.max(startTime, endTime);
         
         // 選択範囲のセルにクラスを追加
-        document.querySelectorAll(`.time-cell[data-day="${this.selectionStart.day}"]`).forEach(cell => {
+        const selector = this.getSelectionDays().map(day => `.time-cell[data-day="${day}"]`).join(', ');
+        if (!selector) return;
+        
+        document.querySelectorAll(selector).forEach(cell => {
             const cellHour = parseInt(cell.dataset.hour);
             const cellMinute = parseInt(cell.dataset.minute);
             const cellTime = cellHour * 60 + cellMinute;
             
             if (cellTime >= minTime && cellTime <= maxTime) {
                 cell.classList.add('selecting');
+                // 既存の予定と重なるセルは警告表示
+                cell.classList.toggle('conflict', cell.classList.contains('busy'));
             }
         });
     }
@@ -360,51 +2632,96 @@ class ScheduleApp {
     // 選択表示をクリア
     clearSelectionDisplay() {
         document.querySelectorAll('.time-cell').forEach(cell => {
-            cell.classList.remove('selecting');
+            cell.classList.remove('selecting', 'conflict');
         });
         this.hideDragTimeDisplay();
     }
     
-    // 候補を追加
-    addCandidate() {
-        if (!this.selectionStart || !this.selectionEnd) return;
+    // 選択範囲に含まれる日（週の何日目か）を取得
+    // Altキーを押している間は土日・祝日を除く
+    getSelectionDays() {
+        const weekDates = this.scheduler.getWeekDates();
+        const firstDay = Math.min(this.selectionStart.day, this.selectionEnd.day);
+        const lastDay = Math.max(this.selectionStart.day, this.selectionEnd.day);
+        const days = [];
         
+        for (let day = firstDay; day <= lastDay; day++) {
+            if (this.excludeNonBusinessDays && !this.scheduler.isBusinessDay(weekDates[day])) continue;
+            if (!this.scheduler.isSelectableDate(weekDates[day])) continue;
+            days.push(day);
+        }
+        return days;
+    }
+    
+    // 選択範囲の開始・終了時刻（分）を取得
+    getSelectionRange() {
+        const interval = this.scheduler.timeRange.minuteInterval;
         const startTime = this.selectionStart.hour * 60 + this.selectionStart.minute;
         const endTime = this.selectionEnd.hour * 60 + this.selectionEnd.minute;
         
-        let minTime = Math.min(startTime, endTime);
-        let maxTime = Math.max(startTime, endTime);
-        
-        // 同じ時間の場合は15分間隔で終了時間を設定
-        if (startTime === endTime) {
-            maxTime = minTime + 15;
-        } else {
-            // ドラッグの場合、終了時刻に15分を追加（選択した最後のマスも含める）
-            maxTime = maxTime + 15;
-        }
+        // 選択した最後のマスも含めるため、終了時刻に1スロット分を追加
+        return {
+            minTime: Math.min(startTime, endTime),
+            maxTime: Math.max(startTime, endTime) + interval
+        };
+    }
+    
+    // 候補を追加
+    // 複数日を選択した場合は、日ごとに同じ時間帯の候補を追加
+    addCandidate() {
+        if (!this.selectionStart || !this.selectionEnd) return;
         
-        // 日付を計算
+        const { minTime, maxTime } = this.getSelectionRange();
         const weekDates = this.scheduler.getWeekDates();
-        const selectedDate = weekDates[this.selectionStart.day];
+        const days = this.getSelectionDays();
         
-        const candidate = {
-            id: Date.now(),
-            date: new Date(selectedDate),
+        this.selectionStart = null;
+        this.selectionEnd = null;
+        
+        const candidates = days.map(day => ({
+            id: this.createCandidateId(),
+            date: new Date(weekDates[day]),
             startHour: Math.floor(minTime / 60),
             startMinute: minTime % 60,
             endHour: Math.floor(maxTime / 60),
             endMinute: maxTime % 60,
-            dayOffset: this.selectionStart.day
-        };
+            dayOffset: day
+        })).filter(candidate => {
+            // その日の表示時間外にはみ出す範囲と、過去・直前の範囲は追加しない
+            if (!this.scheduler.isValidTimeRange(candidate.startHour, candidate.startMinute,
+                                                 candidate.endHour, candidate.endMinute, candidate.date) ||
+                this.isStaleCandidate(candidate)) {
+                return false;
+            }
+            
+            // 既存の予定と重なる場合は追加しない（上書き指定時を除く）
+            return this.canAddOverBusy(candidate);
+        });
         
-        this.selectedCandidates.push(candidate);
+        if (candidates.length === 0) return;
+        
+        this.recordHistory();
+        this.selectedCandidates.push(...candidates);
         this.sortCandidates();
-        this.updateCandidatesList();
-        this.updateOutputText();
-        this.markSelectedCells(candidate);
+        candidates.forEach(candidate => this.markSelectedCells(candidate));
+        this.onCandidatesChanged();
         
-        this.selectionStart = null;
-        this.selectionEnd = null;
+        if (candidates.length === 1) {
+            this.announceCandidate('a11y.added', candidates[0]);
+        } else {
+            this.announce(this.i18n.t('a11y.addedMultiple', { count: candidates.length }));
+        }
+    }
+    
+    // 候補のIDを発行（同じミリ秒に複数作っても重複しないようにする）
+    createCandidateId() {
+        let id = Math.max(Date.now(), this.lastCandidateId + 1);
+        while (this.selectedCandidates.some(candidate => candidate.id === id)) {
+            id++;
+        }
+        
+        this.lastCandidateId = id;
+        return id;
     }
     
     // 選択されたセルをマークする
@@ -417,12 +2734,19 @@ class ScheduleApp {
             const cellMinute = parseInt(cell.dataset.minute);
             const cellMinutes = cellHour * 60 + cellMinute;
             
-            // 常に終了時刻は含めない（時間計算で15分追加済みのため）
+            // 常に終了時刻は含めない（選択した最後のマスは時間計算で1スロット分追加済みのため）
             if (cellMinutes >= startMinutes && cellMinutes < endMinutes) {
                 cell.classList.add('selected');
                 cell.dataset.candidateId = candidate.id;
             }
         });
+        
+        // 伸縮用のつまみを表示する上端・下端のセル
+        const cells = document.querySelectorAll(`.time-cell[data-candidate-id="${candidate.id}"]`);
+        if (cells.length > 0 && !candidate.isFullDay) {
+            cells[0].classList.add('candidate-start');
+            cells[cells.length - 1].classList.add('candidate-end');
+        }
     }
     
     // 選択マークをクリア
@@ -432,7 +2756,7 @@ class ScheduleApp {
             : '.time-cell.selected';
         
         document.querySelectorAll(selector).forEach(cell => {
-            cell.classList.remove('selected');
+            cell.classList.remove('selected', 'candidate-start', 'candidate-end');
             if (cell.dataset.candidateId) {
                 delete cell.dataset.candidateId;
             }
@@ -449,7 +2773,11 @@ class ScheduleApp {
         const candidatesDisplay = document.getElementById('candidates-display');
         
         if (this.selectedCandidates.length === 0) {
-            candidatesDisplay.innerHTML = '<div class="empty-message">選択した日時がここに表示されます</div>';
+            candidatesDisplay.innerHTML = '';
+            const emptyMessage = document.createElement('div');
+            emptyMessage.className = 'empty-message';
+            emptyMessage.textContent = this.i18n.t('output.empty');
+            candidatesDisplay.appendChild(emptyMessage);
             return;
         }
         
@@ -466,15 +2794,42 @@ class ScheduleApp {
             text.className = 'candidate-text';
             text.textContent = this.textGenerator.formatCandidate(candidate);
             
+            // 過去の日付と、直前（猶予より前）の候補は目印を付ける
+            if (this.isStaleCandidate(candidate)) {
+                const isPast = this.scheduler.isPast(candidate.date);
+                line.classList.add(isPast ? 'past' : 'too-soon');
+                const badge = document.createElement('span');
+                badge.className = 'past-badge';
+                badge.textContent = this.i18n.t(isPast ? 'output.past' : 'output.tooSoon');
+                text.appendChild(badge);
+            }
+            
+            // 注記を出力に付けない設定の場合も、リストでは注記を確認できるようにする
+            const annotations = this.textGenerator.formatAnnotations(candidate);
+            if (annotations && !this.textGenerator.includeAnnotations) {
+                const annotation = document.createElement('span');
+                annotation.className = 'candidate-annotation';
+                annotation.textContent = annotations.trim();
+                text.appendChild(annotation);
+            }
+            
+            const annotationBtn = document.createElement('button');
+            annotationBtn.className = 'annotation-btn';
+            annotationBtn.textContent = this.i18n.t('annotation.edit');
+            annotationBtn.addEventListener('click', () => {
+                this.openAnnotationDialog(candidate);
+            });
+            
             const removeBtn = document.createElement('button');
             removeBtn.className = 'remove-btn';
-            removeBtn.textContent = '削除';
+            removeBtn.textContent = this.i18n.t('common.delete');
             removeBtn.addEventListener('click', () => {
                 // 結合された時間枠に対応する全ての個別候補を削除
                 this.removeMergedCandidate(candidate);
             });
             
             line.appendChild(text);
+            line.appendChild(annotationBtn);
             line.appendChild(removeBtn);
             candidatesDisplay.appendChild(line);
         });
@@ -482,20 +2837,25 @@ class ScheduleApp {
     
     // 候補を削除
     removeCandidate(id) {
+        const candidate = this.selectedCandidates.find(c => c.id === id);
+        
+        this.recordHistory();
         this.clearSelectedCells(id);
         this.selectedCandidates = this.selectedCandidates.filter(c => c.id !== id);
-        this.updateCandidatesList();
-        this.updateOutputText();
+        this.onCandidatesChanged();
+        
+        if (candidate) {
+            this.announceCandidate('a11y.removed', candidate);
+        }
     }
     
-    // 結合された候補に対応する全ての個別候補を削除
-    removeMergedCandidate(mergedCandidate) {
+    // 結合された候補に含まれる個別の候補（同じ日付で時間範囲内の全ての候補）
+    getCandidatesInMergedRange(mergedCandidate) {
         const startMinutes = mergedCandidate.startHour * 60 + mergedCandidate.startMinute;
         const endMinutes = mergedCandidate.endHour * 60 + mergedCandidate.endMinute;
         const dateKey = this.textGenerator.getDateKey(mergedCandidate.date);
         
-        // 同じ日付で時間範囲内の全ての候補を特定
-        const candidatesToRemove = this.selectedCandidates.filter(candidate => {
+        return this.selectedCandidates.filter(candidate => {
             const candidateStart = candidate.startHour * 60 + candidate.startMinute;
             const candidateEnd = candidate.endHour * 60 + candidate.endMinute;
             const candidateDateKey = this.textGenerator.getDateKey(candidate.date);
@@ -504,6 +2864,50 @@ class ScheduleApp {
                    candidateStart >= startMinutes &&
                    candidateEnd <= endMinutes;
         });
+    }
+    
+    // 注記ダイアログを開く（候補リストの1行分が対象）
+    openAnnotationDialog(mergedCandidate) {
+        this.annotationTarget = mergedCandidate;
+        document.getElementById('annotation-target').textContent = this.textGenerator.formatCandidateTime(mergedCandidate);
+        document.getElementById('annotation-meeting-type').value = mergedCandidate.meetingType || '';
+        document.getElementById('annotation-location').value = mergedCandidate.location || '';
+        document.getElementById('annotation-note').value = mergedCandidate.note || '';
+        this.openModal(document.getElementById('annotation-dialog'));
+    }
+    
+    // 注記ダイアログの内容を対象の候補に保存
+    saveAnnotationDialog() {
+        const candidates = this.annotationTarget ? this.getCandidatesInMergedRange(this.annotationTarget) : [];
+        const annotations = {
+            meetingType: document.getElementById('annotation-meeting-type').value,
+            location: document.getElementById('annotation-location').value.trim(),
+            note: document.getElementById('annotation-note').value.trim()
+        };
+        
+        this.closeModal(document.getElementById('annotation-dialog'));
+        this.annotationTarget = null;
+        if (candidates.length === 0) return;
+        
+        this.recordHistory();
+        candidates.forEach(candidate => {
+            Object.entries(annotations).forEach(([key, value]) => {
+                if (value) {
+                    candidate[key] = value;
+                } else {
+                    delete candidate[key];
+                }
+            });
+        });
+        this.onCandidatesChanged();
+    }
+    
+    // 結合された候補に対応する全ての個別候補を削除
+    removeMergedCandidate(mergedCandidate) {
+        const candidatesToRemove = this.getCandidatesInMergedRange(mergedCandidate);
+        
+        if (candidatesToRemove.length === 0) return;
+        this.recordHistory();
         
         // 終日選択の場合は日付ヘッダーの選択状態を解除
         const fullDayCandidate = candidatesToRemove.find(c => c.isFullDay);
@@ -523,8 +2927,8 @@ class ScheduleApp {
             return !candidatesToRemove.includes(candidate);
         });
         
-        this.updateCandidatesList();
-        this.updateOutputText();
+        this.onCandidatesChanged();
+        this.announceCandidate('a11y.removed', mergedCandidate);
     }
     
     // 候補をフォーマット（TextGeneratorクラスに移動済み）
@@ -532,68 +2936,165 @@ class ScheduleApp {
     // 出力テキストを更新
     updateOutputText() {
         const copyBtn = document.getElementById('copy-btn');
+        const icsBtn = document.getElementById('ics-btn');
+        const preview = document.getElementById('output-preview');
         
         if (this.selectedCandidates.length === 0) {
             copyBtn.disabled = true;
+            icsBtn.disabled = true;
+            preview.textContent = '';
         } else {
             copyBtn.disabled = false;
+            icsBtn.disabled = false;
+            preview.textContent = this.getOutputText();
         }
     }
     
-    // クリップボードにコピー
-    async copyToClipboard() {
+    // 選択中の出力スタイル（保存値が不正な場合は plain）
+    getOutputStyle() {
+        const style = this.settings.get('outputStyle');
+        return this.textGenerator.outputStyles[style] ? style : 'plain';
+    }
+    
+    // コピーされる文字を生成
+    getOutputText() {
+        return this.textGenerator.formatOutput(this.selectedCandidates, this.getOutputStyle());
+    }
+    
+    // 候補をiCalendarファイルとしてダウンロード
+    downloadIcs() {
+        if (this.selectedCandidates.length === 0) return;
+        
+        const summary = document.getElementById('ics-summary').value.trim() || this.i18n.t('ics.defaultSummary');
+        const icsText = this.textGenerator.exportToIcs(this.selectedCandidates, { summary });
+        this.downloadFile(icsText, 'text/calendar', `schedule-${this.textGenerator.getDateKey(new Date())}.ics`);
+    }
+    
+    // 文字列をファイルとしてダウンロード
+    downloadFile(text, type, fileName) {
+        const blob = new Blob([text], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    // 通知を表示
+    showNotification(message, type = 'success') {
         const notification = document.getElementById('copy-notification');
         
+        notification.textContent = message;
+        notification.classList.toggle('warning', type === 'warning');
+        notification.classList.add('show');
+        
+        clearTimeout(this.notificationTimer);
+        this.notificationTimer = setTimeout(() => {
+            notification.classList.remove('show');
+        }, type === 'warning' ? 4000 : 2000);
+    }
+    
+    // クリップボードにコピー
+    // 過去・直前の候補がある場合は、先に削除するかを確認する
+    async copyToClipboard(skipStaleCheck = false) {
         if (this.selectedCandidates.length === 0) return;
         
-        // 連続する時間枠を結合してからフォーマット
-        const mergedCandidates = this.textGenerator.mergeContinuousCandidates(this.selectedCandidates);
-        const textToCopy = this.textGenerator.formatCandidates(mergedCandidates);
+        if (!skipStaleCheck && this.getStaleCandidates().length > 0) {
+            this.openStaleDialog();
+            return;
+        }
         
+        // プレビューと同じ文字をコピー
+        await this.writeClipboard(this.getOutputText());
+        
+        // 通知を表示
+        this.showNotification(this.i18n.t('notify.copied'));
+    }
+    
+    // 過去・直前の候補の確認ダイアログを開く
+    openStaleDialog() {
+        const merged = this.textGenerator.mergeContinuousCandidates(this.getStaleCandidates());
+        const list = document.getElementById('stale-list');
+        
+        list.innerHTML = '';
+        merged.forEach(candidate => {
+            const item = document.createElement('li');
+            item.textContent = this.textGenerator.formatCandidateTime(candidate);
+            list.appendChild(item);
+        });
+        
+        document.getElementById('stale-description').textContent =
+            this.i18n.t('stale.description', { count: merged.length, rule: this.formatLeadTime() });
+        this.openModal(document.getElementById('stale-dialog'));
+    }
+    
+    // 過去・直前の候補を削除してからコピー
+    async removeStaleAndCopy() {
+        const stale = this.getStaleCandidates();
+        this.closeModal(document.getElementById('stale-dialog'));
+        
+        this.recordHistory();
+        this.selectedCandidates = this.selectedCandidates.filter(candidate => !stale.includes(candidate));
+        this.refreshSelectedCells();
+        this.onCandidatesChanged();
+        this.announce(this.i18n.t('a11y.removedMultiple', { count: stale.length }));
+        
+        await this.copyToClipboard(true);
+    }
+    
+    // テキストをクリップボードに書き込む
+    async writeClipboard(text) {
         try {
-            await navigator.clipboard.writeText(textToCopy);
-            
-            // 通知を表示
-            notification.classList.add('show');
-            setTimeout(() => {
-                notification.classList.remove('show');
-            }, 2000);
+            await navigator.clipboard.writeText(text);
         } catch (err) {
             // フォールバック - 一時的なテキストエリアを作成
             const tempTextArea = document.createElement('textarea');
-            tempTextArea.value = textToCopy;
+            tempTextArea.value = text;
             tempTextArea.style.position = 'fixed';
             tempTextArea.style.left = '-9999px';
             document.body.appendChild(tempTextArea);
             tempTextArea.select();
             document.execCommand('copy');
             document.body.removeChild(tempTextArea);
-            
-            notification.classList.add('show');
-            setTimeout(() => {
-                notification.classList.remove('show');
-            }, 2000);
         }
     }
     
     // すべてリセット
     resetAll() {
+        if (this.selectedCandidates.length > 0) {
+            this.recordHistory();
+        }
+        const hadCandidates = this.selectedCandidates.length > 0;
+        
         this.clearSelectedCells();
         this.selectedCandidates = [];
-        this.updateCandidatesList();
-        this.updateOutputText();
-        this.clearSelectionDisplay();
         
         // 日付ヘッダーの選択状態もクリア
         document.querySelectorAll('.day-header.selected').forEach(header => {
             header.classList.remove('selected');
         });
+        
+        this.onCandidatesChanged();
+        this.clearSelectionDisplay();
+        
+        if (hadCandidates) {
+            this.announce(this.i18n.t('a11y.cleared'));
+        }
     }
     
     // 選択セルを再適用（週移動時）
     reapplySelectedCells() {
         const currentWeekDates = this.scheduler.getWeekDates();
         
+        // 終日選択の日付ヘッダーは週ごとに付け直す
+        document.querySelectorAll('.day-header.selected').forEach(header => {
+            header.classList.remove('selected');
+        });
+        
         this.selectedCandidates.forEach(candidate => {
             // 候補の日付が現在の週に含まれているかチェック
             const candidateDateStr = candidate.date.toDateString();
@@ -603,49 +3104,81 @@ class ScheduleApp {
                 // 現在の週に含まれている場合、セルをマーク
                 const updatedCandidate = { ...candidate, dayOffset: dayIndex };
                 this.markSelectedCells(updatedCandidate);
+                
+                if (candidate.isFullDay) {
+                    const dayHeader = document.querySelector(`.day-header[data-day="${dayIndex}"]`);
+                    if (dayHeader) {
+                        dayHeader.classList.add('selected');
+                    }
+                }
             }
         });
+        
+        this.updateAriaSelected();
+    }
+    
+    // 選択セルを候補リストに合わせて描き直す
+    refreshSelectedCells() {
+        this.clearSelectedCells();
+        this.reapplySelectedCells();
     }
     
     // ドラッグ時間表示を表示
-    showDragTimeDisplay(event) {
+    showDragTimeDisplay(point) {
         const display = document.getElementById('drag-time-display');
         display.style.display = 'block';
-        this.updateDragTimeDisplay(event);
+        this.updateDragTimeDisplay(point);
     }
     
     // ドラッグ時間表示を更新
-    updateDragTimeDisplay(event) {
+    updateDragTimeDisplay(point) {
         if (!this.selectionStart || !this.selectionEnd) return;
         
         const display = document.getElementById('drag-time-display');
         
         // 時間範囲を計算
-        const startTime = this.selectionStart.hour * 60 + this.selectionStart.minute;
-        const endTime = this.selectionEnd.hour * 60 + this.selectionEnd.minute;
-        let minTime = Math.min(startTime, endTime);
-        let maxTime = Math.max(startTime, endTime);
+        const { minTime, maxTime } = this.getSelectionRange();
+        let timeText = this.formatDragTime({
+            date: this.scheduler.getWeekDates()[this.selectionStart.day],
+            startHour: Math.floor(minTime / 60),
+            startMinute: minTime % 60,
+            endHour: Math.floor(maxTime / 60),
+            endMinute: maxTime % 60
+        });
         
-        // 同じ時間の場合は15分間隔で終了時間を設定
-        if (startTime === endTime) {
-            maxTime = minTime + 15;
-        } else {
-            // ドラッグの場合、終了時刻に15分を追加（選択した最後のマスも含める）
-            maxTime = maxTime + 15;
+        // 複数日にまたがる場合は日数を表示
+        const dayCount = this.getSelectionDays().length;
+        if (dayCount !== 1) {
+            timeText += ` ${this.i18n.t('selection.days', { count: dayCount })}`;
+        }
+        if (this.excludeNonBusinessDays && this.selectionStart.day !== this.selectionEnd.day) {
+            timeText += ` ${this.i18n.t('selection.businessDaysOnly')}`;
         }
         
-        // 時間を文字列に変換
-        const startHour = Math.floor(minTime / 60);
-        const startMinute = minTime % 60;
-        const endHour = Math.floor(maxTime / 60);
-        const endMinute = maxTime % 60;
-        
-        const timeText = `${startHour}:${String(startMinute).padStart(2, '0')}〜${endHour}:${String(endMinute).padStart(2, '0')}`;
+        if (document.querySelector('.time-cell.selecting.conflict')) {
+            timeText += ` ${this.i18n.t('busy.conflictMark')}`;
+        }
         display.textContent = timeText;
+        this.positionDragTimeDisplay(display, point);
+    }
+    
+    // ドラッグ時間表示の位置を設定
+    positionDragTimeDisplay(display, point) {
+        if (this.isPointerDragging() && this.dragPointerType !== 'mouse') {
+            // 指やペンで隠れないよう、触れている位置の真上に画面内に収めて表示
+            const margin = 8;
+            const rect = display.getBoundingClientRect();
+            const left = point.clientX - rect.width / 2;
+            const top = point.clientY - rect.height - 48;
+            
+            display.style.left = Math.max(margin, Math.min(left, window.innerWidth - rect.width - margin)) + 'px';
+            display.style.top = Math.max(margin, top) + 'px';
+            return;
+        }
         
         // マウス位置に表示
-        display.style.left = (event.clientX + 15) + 'px';
-        display.style.top = (event.clientY - 30) + 'px';
+        display.style.left = (point.clientX + 15) + 'px';
+        display.style.top = (point.clientY - 30) + 'px';
     }
     
     // ドラッグ時間表示を隠す
@@ -0,0 +1,468 @@
+/**
+ * QRコード生成クラス（バイトモードのみ、外部ライブラリ・通信なし）
+ * JIS X 0510 に従ってモジュール配列を生成し、canvasに描画する
+ */
+class QRCode {
+    /**
+     * テキストからQRコードを生成
+     * @param {string} text - エンコードする文字列（UTF-8）
+     * @param {string} errorCorrection - 誤り訂正レベル（'L' または 'M'）
+     */
+    constructor(text, errorCorrection = 'M') {
+        if (!QRCode.ECC_CODEWORDS_PER_BLOCK[errorCorrection]) {
+            throw new Error(`Unsupported error correction level: ${errorCorrection}`);
+        }
+
+        this.errorCorrection = errorCorrection;
+        this.bytes = Array.from(new TextEncoder().encode(text));
+        this.version = this._chooseVersion();
+        this.size = this.version * 4 + 17;
+        this.modules = this._createMatrix();
+        this.isFunction = this._createMatrix();
+
+        this._drawFunctionPatterns();
+        const codewords = this._addEccAndInterleave(this._encodeData());
+        this._drawCodewords(codewords);
+        this.mask = this._applyBestMask();
+    }
+
+    /**
+     * 指定位置が暗モジュールかどうか
+     */
+    isDark(x, y) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.size && this.modules[y][x];
+    }
+
+    /**
+     * canvasに描画
+     * @param {HTMLCanvasElement} canvas - 描画先
+     * @param {number} scale - 1モジュールあたりのピクセル数
+     * @param {number} quietZone - 余白（モジュール数）
+     */
+    renderToCanvas(canvas, scale = 4, quietZone = 4) {
+        const fullSize = (this.size + quietZone * 2) * scale;
+        canvas.width = fullSize;
+        canvas.height = fullSize;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, fullSize, fullSize);
+        context.fillStyle = '#000000';
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    context.fillRect((x + quietZone) * scale, (y + quietZone) * scale, scale, scale);
+                }
+            }
+        }
+    }
+
+    _createMatrix() {
+        return Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    /**
+     * データが収まる最小の型番を選択
+     */
+    _chooseVersion() {
+        for (let version = 1; version <= 40; version++) {
+            const capacityBits = QRCode.getNumDataCodewords(version, this.errorCorrection) * 8;
+            const usedBits = 4 + QRCode.getCharCountBits(version) + this.bytes.length * 8;
+            if (usedBits <= capacityBits) {
+                return version;
+            }
+        }
+        throw new Error('Data too long for a QR code');
+    }
+
+    /**
+     * モード指示子・文字数・データ・埋め草を並べたデータコード語を生成
+     */
+    _encodeData() {
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        appendBits(0x4, 4); // バイトモード
+        appendBits(this.bytes.length, QRCode.getCharCountBits(this.version));
+        this.bytes.forEach(b => appendBits(b, 8));
+
+        const capacityBits = QRCode.getNumDataCodewords(this.version, this.errorCorrection) * 8;
+        appendBits(0, Math.min(4, capacityBits - bits.length)); // 終端パターン
+        appendBits(0, (8 - bits.length % 8) % 8);
+
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    /**
+     * ブロック分割・誤り訂正コード語の付加・インターリーブ
+     */
+    _addEccAndInterleave(data) {
+        const numBlocks = QRCode.NUM_ERROR_CORRECTION_BLOCKS[this.errorCorrection][this.version];
+        const blockEccLength = QRCode.ECC_CODEWORDS_PER_BLOCK[this.errorCorrection][this.version];
+        const rawCodewords = Math.floor(QRCode.getNumRawDataModules(this.version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = QRCode.reedSolomonComputeDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const length = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(k, k + length);
+            k += length;
+            const ecc = QRCode.reedSolomonComputeRemainder(block, divisor);
+            if (i < numShortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // 短いブロックの埋め合わせ分は読み飛ばす
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    _setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * 位置検出・タイミング・位置合わせ・形式情報・型番情報のパターンを描画
+     */
+    _drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this._setFunctionModule(6, i, i % 2 === 0);
+            this._setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this._drawFinderPattern(3, 3);
+        this._drawFinderPattern(this.size - 4, 3);
+        this._drawFinderPattern(3, this.size - 4);
+
+        const positions = this._getAlignmentPatternPositions();
+        const count = positions.length;
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < count; j++) {
+                // 位置検出パターンと重なる3隅は除く
+                const isCorner = (i === 0 && j === 0) || (i === 0 && j === count - 1) || (i === count - 1 && j === 0);
+                if (!isCorner) {
+                    this._drawAlignmentPattern(positions[i], positions[j]);
+                }
+            }
+        }
+
+        this._drawFormatBits(0); // 仮の値で領域を確保
+        this._drawVersion();
+    }
+
+    _drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this._setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    _drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this._setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    _getAlignmentPatternPositions() {
+        if (this.version === 1) {
+            return [];
+        }
+
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = this.size - 7; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    _drawFormatBits(mask) {
+        const data = (QRCode.FORMAT_BITS[this.errorCorrection] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const getBit = i => ((bits >>> i) & 1) !== 0;
+
+        // 左上
+        for (let i = 0; i <= 5; i++) {
+            this._setFunctionModule(8, i, getBit(i));
+        }
+        this._setFunctionModule(8, 7, getBit(6));
+        this._setFunctionModule(8, 8, getBit(7));
+        this._setFunctionModule(7, 8, getBit(8));
+        for (let i = 9; i < 15; i++) {
+            this._setFunctionModule(14 - i, 8, getBit(i));
+        }
+
+        // 右上・左下
+        for (let i = 0; i < 8; i++) {
+            this._setFunctionModule(this.size - 1 - i, 8, getBit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this._setFunctionModule(8, this.size - 15 + i, getBit(i));
+        }
+        this._setFunctionModule(8, this.size - 8, true);
+    }
+
+    _drawVersion() {
+        if (this.version < 7) {
+            return;
+        }
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const isDark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this._setFunctionModule(a, b, isDark);
+            this._setFunctionModule(b, a, isDark);
+        }
+    }
+
+    /**
+     * コード語を右下から2列ずつジグザグに配置
+     */
+    _drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5; // 縦のタイミングパターンを飛ばす
+            }
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    _applyMask(mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && conditions[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * 8種類のマスクから失点が最小のものを適用
+     */
+    _applyBestMask() {
+        let bestMask = 0;
+        let minPenalty = Infinity;
+
+        for (let mask = 0; mask < 8; mask++) {
+            this._applyMask(mask);
+            this._drawFormatBits(mask);
+            const penalty = this._getPenaltyScore();
+            if (penalty < minPenalty) {
+                bestMask = mask;
+                minPenalty = penalty;
+            }
+            this._applyMask(mask); // XORなので再適用で元に戻る
+        }
+
+        this._applyMask(bestMask);
+        this._drawFormatBits(bestMask);
+        return bestMask;
+    }
+
+    _getPenaltyScore() {
+        const size = this.size;
+        const get = (x, y) => this.modules[y][x];
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        let penalty = 0;
+
+        const scanLine = read => {
+            // 同色の連続（5以上）
+            let runLength = 1;
+            for (let i = 1; i < size; i++) {
+                if (read(i) === read(i - 1)) {
+                    runLength++;
+                    if (runLength === 5) {
+                        penalty += 3;
+                    } else if (runLength > 5) {
+                        penalty++;
+                    }
+                } else {
+                    runLength = 1;
+                }
+            }
+
+            // 位置検出パターンに似た並び
+            for (let i = 0; i + 11 <= size; i++) {
+                finderLike.forEach(pattern => {
+                    if (pattern.every((value, k) => read(i + k) === value)) {
+                        penalty += 40;
+                    }
+                });
+            }
+        };
+
+        for (let y = 0; y < size; y++) {
+            scanLine(x => get(x, y));
+        }
+        for (let x = 0; x < size; x++) {
+            scanLine(y => get(x, y));
+        }
+
+        // 2×2の同色ブロック
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = get(x, y);
+                if (color === get(x + 1, y) && color === get(x, y + 1) && color === get(x + 1, y + 1)) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // 暗モジュールの比率
+        let dark = 0;
+        this.modules.forEach(row => row.forEach(isDark => {
+            if (isDark) dark++;
+        }));
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        penalty += Math.max(0, k) * 10;
+
+        return penalty;
+    }
+
+    static getCharCountBits(version) {
+        return version <= 9 ? 8 : 16;
+    }
+
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    static getNumDataCodewords(version, errorCorrection) {
+        return Math.floor(QRCode.getNumRawDataModules(version) / 8) -
+            QRCode.ECC_CODEWORDS_PER_BLOCK[errorCorrection][version] *
+            QRCode.NUM_ERROR_CORRECTION_BLOCKS[errorCorrection][version];
+    }
+
+    static reedSolomonComputeDivisor(degree) {
+        const result = new Array(degree - 1).fill(0);
+        result.push(1);
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QRCode.reedSolomonMultiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = QRCode.reedSolomonMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonComputeRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QRCode.reedSolomonMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // GF(2^8) 上の乗算（既約多項式 0x11D）
+    static reedSolomonMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+}
+
+QRCode.FORMAT_BITS = { L: 1, M: 0 };
+
+// 型番ごとの1ブロックあたりの誤り訂正コード語数（添字0は未使用）
+QRCode.ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28]
+};
+
+// 型番ごとの誤り訂正ブロック数（添字0は未使用）
+QRCode.NUM_ERROR_CORRECTION_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+};
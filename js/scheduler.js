@@ -7,10 +7,76 @@ class Scheduler {
             endHour: 18,
             minuteInterval: 15
         };
+        // 曜日別の表示時間（キーは Date.getDay() の値）
+        this.weekdayHours = {};
+        // 土日・祝日を選択できないようにするか
+        this.blockNonBusinessDays = false;
+        // 今から候補にできるまでの猶予（unit は hours / businessDays、amount が 0 の場合は今以降）
+        this.leadTime = { amount: 0, unit: 'businessDays' };
+        this.leadTimeUnits = ['hours', 'businessDays'];
+        this.allowedIntervals = [5, 10, 15, 30, 60];
+        // 繰り返しで生成できる最大の週数
+        this.maxRecurringWeeks = 52;
         this.weekdays = ['月', '火', '水', '木', '金', '土', '日'];
         this.weekdaysFull = ['日', '月', '火', '水', '木', '金', '土'];
     }
     
+    // 表示時間の設定を適用
+    applyTimeSettings(settings) {
+        const startHour = Number(settings.startHour);
+        const endHour = Number(settings.endHour);
+        const minuteInterval = Number(settings.minuteInterval);
+        
+        if (startHour >= 0 && endHour <= 24 && startHour < endHour) {
+            this.timeRange.startHour = startHour;
+            this.timeRange.endHour = endHour;
+        }
+        
+        if (this.allowedIntervals.includes(minuteInterval)) {
+            this.timeRange.minuteInterval = minuteInterval;
+        }
+        
+        this.blockNonBusinessDays = !!settings.blockNonBusinessDays;
+        
+        const leadTime = settings.leadTime || {};
+        const amount = Number(leadTime.amount);
+        this.leadTime = {
+            amount: Number.isInteger(amount) && amount >= 0 ? amount : 0,
+            unit: this.leadTimeUnits.includes(leadTime.unit) ? leadTime.unit : 'businessDays'
+        };
+        
+        this.weekdayHours = {};
+        Object.entries(settings.weekdayHours || {}).forEach(([weekday, hours]) => {
+            const start = Number(hours.startHour);
+            const end = Number(hours.endHour);
+            if (start >= 0 && end <= 24 && start < end) {
+                this.weekdayHours[weekday] = { startHour: start, endHour: end };
+            }
+        });
+        
+        return this;
+    }
+    
+    // 指定日の表示時間を取得（曜日別の設定を優先）
+    getDayTimeRange(date) {
+        const hours = date ? this.weekdayHours[date.getDay()] : null;
+        return {
+            startHour: hours ? hours.startHour : this.timeRange.startHour,
+            endHour: hours ? hours.endHour : this.timeRange.endHour,
+            minuteInterval: this.timeRange.minuteInterval
+        };
+    }
+    
+    // グリッド全体の表示時間を取得（全曜日の表示時間を含む範囲）
+    getGridTimeRange() {
+        const ranges = [this.timeRange, ...Object.values(this.weekdayHours)];
+        return {
+            startHour: Math.min(...ranges.map(range => range.startHour)),
+            endHour: Math.max(...ranges.map(range => range.endHour)),
+            minuteInterval: this.timeRange.minuteInterval
+        };
+    }
+    
     // 現在の週を設定
     setCurrentWeek(date) {
         this.currentWeek = new Date(date);
@@ -39,12 +105,27 @@ class Scheduler {
         return dates;
     }
     
-    // 時間スロットを生成
-    generateTimeSlots() {
+    // 月表示の日付を取得（月曜始まりで、前後の月の日付を含めて週単位にそろえる）
+    getMonthDates(date = this.currentWeek) {
+        const lastDate = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+        const dates = [];
+        
+        for (const current = this.getMonday(new Date(date.getFullYear(), date.getMonth(), 1));
+             current <= lastDate || dates.length % 7 !== 0;
+             current.setDate(current.getDate() + 1)) {
+            dates.push(new Date(current));
+        }
+        
+        return dates;
+    }
+    
+    // 時間スロットを生成（日付指定時はその日の表示時間、省略時はグリッド全体）
+    generateTimeSlots(date = null) {
         const slots = [];
+        const range = date ? this.getDayTimeRange(date) : this.getGridTimeRange();
         
-        for (let hour = this.timeRange.startHour; hour < this.timeRange.endHour; hour++) {
-            for (let minute = 0; minute < 60; minute += this.timeRange.minuteInterval) {
+        for (let hour = range.startHour; hour < range.endHour; hour++) {
+            for (let minute = 0; minute < 60; minute += range.minuteInterval) {
                 slots.push({
                     hour: hour,
                     minute: minute,
@@ -57,12 +138,63 @@ class Scheduler {
         return slots;
     }
     
-    // 指定した時間が有効な範囲内かチェック
-    isValidTime(hour, minute) {
-        return hour >= this.timeRange.startHour && 
-               hour <= this.timeRange.endHour &&
+    // 指定した時間が有効な範囲内かチェック（日付指定時はその日の表示時間）
+    isValidTime(hour, minute, date = null) {
+        const range = date ? this.getDayTimeRange(date) : this.getGridTimeRange();
+        const totalMinutes = this.timeToMinutes(hour, minute);
+        
+        return totalMinutes >= range.startHour * 60 &&
+               totalMinutes <= range.endHour * 60 &&
                minute >= 0 && minute < 60 &&
-               minute % this.timeRange.minuteInterval === 0;
+               minute % range.minuteInterval === 0;
+    }
+    
+    // 指定した時間枠がその日の表示時間内かチェック
+    isWithinDayHours(date, hour, minute) {
+        const range = this.getDayTimeRange(date);
+        const totalMinutes = this.timeToMinutes(hour, minute);
+        return totalMinutes >= range.startHour * 60 && totalMinutes < range.endHour * 60;
+    }
+    
+    // 同じ日で時間帯が重なる候補かどうか
+    isOverlapping(a, b) {
+        return a.date.toDateString() === b.date.toDateString() &&
+               this.timeToMinutes(a.startHour, a.startMinute) < this.timeToMinutes(b.endHour, b.endMinute) &&
+               this.timeToMinutes(b.startHour, b.startMinute) < this.timeToMinutes(a.endHour, a.endMinute);
+    }
+    
+    // 候補をその位置に置けるか検証し、置けない理由を返す（置ける場合は null）
+    // offGrid: 開始・終了が時間の刻みに合わない / blocked: 選択できない日 / exceedsHours: 表示時間外のマスを含む
+    // tooSoon: 過去・猶予より前 / overlaps: 他の候補（同じ id の候補を除く）と重なる
+    getPlacementError(candidate, candidates = [], earliest = this.getEarliestStart()) {
+        const interval = this.timeRange.minuteInterval;
+        const date = candidate.date;
+        const startTime = this.timeToMinutes(candidate.startHour, candidate.startMinute);
+        const endTime = this.timeToMinutes(candidate.endHour, candidate.endMinute);
+        
+        if (startTime % interval !== 0 || endTime % interval !== 0) {
+            return 'offGrid';
+        }
+        if (!this.isSelectableDate(date)) {
+            return 'blocked';
+        }
+        if (!this.isValidTimeRange(candidate.startHour, candidate.startMinute, candidate.endHour, candidate.endMinute, date)) {
+            return 'exceedsHours';
+        }
+        // 候補がかかるマスをすべて確認
+        for (let time = startTime; time < endTime; time += interval) {
+            const { hour, minute } = this.minutesToTime(time);
+            if (!this.isWithinDayHours(date, hour, minute)) {
+                return 'exceedsHours';
+            }
+            if (this.isTooSoon(date, hour, minute, earliest)) {
+                return 'tooSoon';
+            }
+        }
+        if (candidates.some(other => other.id !== candidate.id && this.isOverlapping(other, candidate))) {
+            return 'overlaps';
+        }
+        return null;
     }
     
     // 時間を分に変換
@@ -78,16 +210,62 @@ class Scheduler {
         };
     }
     
-    // 時間範囲が有効かチェック
-    isValidTimeRange(startHour, startMinute, endHour, endMinute) {
+    // 時間範囲が有効かチェック（日付指定時はその日の表示時間）
+    isValidTimeRange(startHour, startMinute, endHour, endMinute, date = null) {
         const startTime = this.timeToMinutes(startHour, startMinute);
         const endTime = this.timeToMinutes(endHour, endMinute);
         
-        return this.isValidTime(startHour, startMinute) &&
-               this.isValidTime(endHour, endMinute) &&
-               endTime > startTime &&
-               (endHour < this.timeRange.endHour || 
-                (endHour === this.timeRange.endHour && endMinute === 0));
+        return this.isValidTime(startHour, startMinute, date) &&
+               this.isValidTime(endHour, endMinute, date) &&
+               endTime > startTime;
+    }
+    
+    // 繰り返しの候補を生成
+    // pattern: { weekdays: Date.getDay() の値の配列, startHour, startMinute, endHour, endMinute,
+    //            startDate: 開始日, weeks: 週数（endDate を指定しない場合）, endDate: 終了日, skipHolidays }
+    // 祝日・表示時間外の日は candidates に入れず、理由とともに skipped に入れる
+    generateRecurringCandidates(pattern) {
+        const candidates = [];
+        const skipped = [];
+        
+        const firstDate = new Date(pattern.startDate);
+        firstDate.setHours(0, 0, 0, 0);
+        
+        let lastDate;
+        if (pattern.endDate) {
+            lastDate = new Date(pattern.endDate);
+            lastDate.setHours(0, 0, 0, 0);
+        } else {
+            lastDate = new Date(firstDate);
+            lastDate.setDate(lastDate.getDate() + pattern.weeks * 7 - 1);
+        }
+        
+        for (const date = new Date(firstDate); date <= lastDate; date.setDate(date.getDate() + 1)) {
+            if (!pattern.weekdays.includes(date.getDay())) continue;
+            
+            const current = new Date(date);
+            if (pattern.skipHolidays && this.isHoliday(current)) {
+                skipped.push({ date: current, reason: 'holiday' });
+                continue;
+            }
+            
+            if (!this.isValidTimeRange(pattern.startHour, pattern.startMinute,
+                                       pattern.endHour, pattern.endMinute, current)) {
+                skipped.push({ date: current, reason: 'outside' });
+                continue;
+            }
+            
+            candidates.push({
+                date: current,
+                startHour: pattern.startHour,
+                startMinute: pattern.startMinute,
+                endHour: pattern.endHour,
+                endMinute: pattern.endMinute,
+                dayOffset: (current.getDay() + 6) % 7
+            });
+        }
+        
+        return { candidates, skipped };
     }
     
     // 日付が今日かどうかチェック
@@ -107,12 +285,47 @@ class Scheduler {
         return compareDate < today;
     }
     
+    // 候補にできる最も早い時刻
+    // 営業日の場合は、今日から数えて指定の営業日数後の日の0時（例: 金曜に2営業日なら翌週火曜）
+    getEarliestStart(now = new Date()) {
+        const { amount, unit } = this.leadTime;
+        if (unit === 'hours' || amount === 0) {
+            return new Date(now.getTime() + amount * 60 * 60 * 1000);
+        }
+        
+        const date = new Date(now);
+        date.setHours(0, 0, 0, 0);
+        for (let count = 0; count < amount;) {
+            date.setDate(date.getDate() + 1);
+            if (this.isBusinessDay(date)) count++;
+        }
+        return date;
+    }
+    
+    // 指定した日時に始まる候補が早すぎる（過去、または猶予より前）かどうか
+    // 多くのセルを判定する場合は getEarliestStart() の結果を渡す
+    isTooSoon(date, hour = 0, minute = 0, earliest = this.getEarliestStart()) {
+        const start = new Date(date);
+        start.setHours(hour, minute, 0, 0);
+        return start < earliest;
+    }
+    
     // 日付が週末かどうかチェック
     isWeekend(date) {
         const day = date.getDay();
         return day === 0 || day === 6; // 日曜日または土曜日
     }
     
+    // 営業日（土日・祝日以外）かどうかチェック
+    isBusinessDay(date) {
+        return !this.isWeekend(date) && !this.isHoliday(date);
+    }
+    
+    // 候補を追加できる日かどうか（土日・祝日を選択できない設定の場合は営業日のみ）
+    isSelectableDate(date) {
+        return !this.blockNonBusinessDays || this.isBusinessDay(date);
+    }
+    
     // 土曜日かどうかチェック
     isSaturday(date) {
         return date.getDay() === 6;
@@ -130,28 +343,36 @@ class Scheduler {
             return window.holidayService.isHoliday(date);
         }
         
-        // フォールバック: 基本的な固定祝日のみ（HolidayService初期化前）
-        console.warn('⚠️ HolidayService が未初期化、基本祝日のみで判定');
-        return this._fallbackHolidayCheck(date);
+        // フォールバック: 計算による祝日判定（HolidayService初期化前）
+        return this._fallbackHolidayName(date) !== null;
     }
     
-    // フォールバック用の基本祝日チェック
-    _fallbackHolidayCheck(date) {
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        
-        // 最低限の固定祝日
-        const basicHolidays = [
-            '1-1',   // 元日
-            '5-3',   // 憲法記念日
-            '5-4',   // みどりの日
-            '5-5',   // こどもの日
-            '11-3',  // 文化の日
-            '11-23', // 勤労感謝の日
-        ];
-        
-        const dateKey = `${month}-${day}`;
-        return basicHolidays.includes(dateKey);
+    // 祝日名を取得（HolidayServiceに委譲、祝日でない場合null）
+    getHolidayName(date) {
+        if (window.holidayService && window.holidayService.isInitialized) {
+            return window.holidayService.getHolidayName(date);
+        }
+        return this._fallbackHolidayName(date);
+    }
+    
+    // 祝日名をカレンダーごとに取得（[{ providerId, name }]、祝日でない場合は空配列）
+    getHolidayNames(date) {
+        if (window.holidayService && window.holidayService.isInitialized) {
+            return window.holidayService.getHolidayNames(date);
+        }
+        const name = this._fallbackHolidayName(date);
+        return name ? [{ providerId: 'jp', name }] : [];
+    }
+    
+    // フォールバック用の祝日名取得（計算クラスが読み込まれていない場合は判定しない）
+    _fallbackHolidayName(date) {
+        if (typeof JapaneseHolidayCalculator === 'undefined') {
+            return null;
+        }
+        if (!this.holidayCalculator) {
+            this.holidayCalculator = new JapaneseHolidayCalculator();
+        }
+        return this.holidayCalculator.getHolidayName(date);
     }
     
     // 指定月の第N曜日を取得
@@ -186,6 +407,18 @@ class Scheduler {
         return this.getWeekDates();
     }
     
+    // 前の月に移動（月の初日を含む週を表示）
+    moveToPreviousMonth() {
+        this.currentWeek = new Date(this.currentWeek.getFullYear(), this.currentWeek.getMonth() - 1, 1);
+        return this.getWeekDates();
+    }
+    
+    // 次の月に移動（月の初日を含む週を表示）
+    moveToNextMonth() {
+        this.currentWeek = new Date(this.currentWeek.getFullYear(), this.currentWeek.getMonth() + 1, 1);
+        return this.getWeekDates();
+    }
+    
     // 今週に移動
     moveToThisWeek() {
         this.currentWeek = new Date();
@@ -208,7 +441,7 @@ class Scheduler {
     getTimeSlotIndex(hour, minute) {
         if (!this.isValidTime(hour, minute)) return -1;
         
-        const startMinutes = this.timeRange.startHour * 60;
+        const startMinutes = this.getGridTimeRange().startHour * 60;
         const targetMinutes = hour * 60 + minute;
         const relativeMinutes = targetMinutes - startMinutes;
         
@@ -217,13 +450,14 @@ class Scheduler {
     
     // インデックスから時間スロットを取得
     getTimeSlotFromIndex(index) {
-        const totalMinutes = this.timeRange.startHour * 60 + (index * this.timeRange.minuteInterval);
+        const totalMinutes = this.getGridTimeRange().startHour * 60 + (index * this.timeRange.minuteInterval);
         return this.minutesToTime(totalMinutes);
     }
     
     // 時間スロットの総数を取得
     getTotalTimeSlots() {
-        const totalMinutes = (this.timeRange.endHour - this.timeRange.startHour) * 60;
+        const range = this.getGridTimeRange();
+        const totalMinutes = (range.endHour - range.startHour) * 60;
         return Math.ceil(totalMinutes / this.timeRange.minuteInterval);
     }
     
@@ -256,6 +490,7 @@ class Scheduler {
             currentWeek: this.currentWeek.toDateString(),
             weekDates: this.getWeekDates().map(d => d.toDateString()),
             timeRange: this.timeRange,
+            weekdayHours: this.weekdayHours,
             totalSlots: this.getTotalTimeSlots(),
             weekBoundaries: {
                 start: this.getWeekBoundaries().start.toDateString(),
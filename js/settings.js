@@ -0,0 +1,84 @@
+/**
+ * ユーザー設定を管理するクラス
+ * 既定値に保存済みの値を重ねて保持し、変更はlocalStorageに保存する
+ */
+class Settings {
+    constructor(store) {
+        this.store = store;
+        this.storageKey = 'settings';
+        this.defaults = {
+            startHour: 9,
+            endHour: 18,
+            minuteInterval: 15,
+            // 曜日別の表示時間（キーは Date.getDay() の値。例: { 5: { startHour: 9, endHour: 17 } }）
+            weekdayHours: {},
+            // 土日・祝日を選択できないようにする
+            blockNonBusinessDays: false,
+            // 今から候補にできるまでの猶予（unit は hours / businessDays）
+            leadTime: { amount: 0, unit: 'businessDays' },
+            // クリックで置く候補の長さ（分、0 はドラッグで選択）
+            placementDuration: 0,
+            // 祝日の判定・表示に使うカレンダー（HolidayService のプロバイダーの識別子）
+            holidayCalendars: ['jp'],
+            // カレンダーの表示（week / month）
+            calendarView: 'week',
+            // 画面と出力の言語
+            uiLanguage: 'ja',
+            outputLanguage: 'ja',
+            // 相手のタイムゾーン（IANA名）と出力方法（convert / dual）
+            recipientTimeZones: [],
+            timeZoneMode: 'convert',
+            // 出力スタイルとフォーマット
+            outputStyle: 'plain',
+            outputFormat: 'standard',
+            // 候補の注記（メモ・場所・会議形式）を出力に付ける
+            includeAnnotations: true,
+            // 長い時間帯の出力方法（none / split / window）と枠の長さ・間隔（分）
+            slotMode: 'none',
+            slotLength: 60,
+            slotGap: 0,
+            // ユーザー定義のフォーマット（[{ key, label, template, fullDayTemplate }]）
+            customFormats: []
+        };
+        this.values = { ...this.defaults, ...this.store.load(this.storageKey, {}) };
+    }
+
+    /**
+     * 設定値を取得
+     */
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * 設定値を変更して保存
+     */
+    set(key, value) {
+        this.values[key] = value;
+        this.store.save(this.storageKey, this.values);
+    }
+
+    /**
+     * 複数の設定値をまとめて変更して保存
+     * @param {Object} values - 変更する設定値
+     */
+    update(values) {
+        Object.assign(this.values, values);
+        this.store.save(this.storageKey, this.values);
+    }
+
+    /**
+     * 表示時間の設定を取得
+     * @returns {{startHour: number, endHour: number, minuteInterval: number, weekdayHours: Object, blockNonBusinessDays: boolean, leadTime: Object}}
+     */
+    getTimeSettings() {
+        return {
+            startHour: this.values.startHour,
+            endHour: this.values.endHour,
+            minuteInterval: this.values.minuteInterval,
+            weekdayHours: this.values.weekdayHours || {},
+            blockNonBusinessDays: !!this.values.blockNonBusinessDays,
+            leadTime: this.values.leadTime || this.defaults.leadTime
+        };
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * 候補リストと表示週をURLハッシュに埋め込むためのエンコーダー
+ * 例: #v=1&w=20250303&c=20250304T0900-1030,20250305F
+ * 注記のある候補は「~」の後に注記のJSON（UTF-8）をBase64URLで付ける
+ */
+class ShareLink {
+    constructor() {
+        this.version = '1';
+        this.annotationKeys = ['note', 'location', 'meetingType'];
+    }
+
+    /**
+     * 候補の注記をBase64URLに変換
+     * @returns {string} - 注記が無い場合は空文字
+     */
+    _encodeAnnotations(candidate) {
+        const annotations = {};
+        this.annotationKeys.forEach(key => {
+            if (candidate[key]) {
+                annotations[key] = candidate[key];
+            }
+        });
+        if (Object.keys(annotations).length === 0) {
+            return '';
+        }
+
+        const bytes = new TextEncoder().encode(JSON.stringify(annotations));
+        const base64 = btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Base64URLの注記を復元
+     * @returns {Object} - 不正な値の場合は空のオブジェクト
+     */
+    _decodeAnnotations(text) {
+        try {
+            const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+            const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+            const data = JSON.parse(new TextDecoder().decode(bytes));
+            const annotations = {};
+            this.annotationKeys.forEach(key => {
+                if (typeof data[key] === 'string' && data[key]) {
+                    annotations[key] = data[key];
+                }
+            });
+            return annotations;
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * 日付をYYYYMMDD形式に変換
+     */
+    _formatDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}${month}${day}`;
+    }
+
+    /**
+     * YYYYMMDD形式から日付を復元
+     * @returns {Date|null} - 不正な値の場合null
+     */
+    _parseDate(text) {
+        const match = /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+        if (!match) {
+            return null;
+        }
+
+        const year = Number(match[1]);
+        const month = Number(match[2]);
+        const day = Number(match[3]);
+        const date = new Date(year, month - 1, day);
+
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * 候補リストをエンコード
+     * @param {Array} candidates - 候補の配列
+     * @returns {string} - カンマ区切りの候補文字列
+     */
+    encodeCandidates(candidates) {
+        const pad = value => String(value).padStart(2, '0');
+
+        return candidates.map(candidate => {
+            const date = this._formatDate(candidate.date);
+            const annotations = this._encodeAnnotations(candidate);
+            const suffix = annotations ? `~${annotations}` : '';
+            if (candidate.isFullDay) {
+                return `${date}F${suffix}`;
+            }
+            const start = `${pad(candidate.startHour)}${pad(candidate.startMinute)}`;
+            const end = `${pad(candidate.endHour)}${pad(candidate.endMinute)}`;
+            return `${date}T${start}-${end}${suffix}`;
+        }).join(',');
+    }
+
+    /**
+     * 候補文字列をデコード（不正な要素は読み飛ばす）
+     * @param {string} text - カンマ区切りの候補文字列
+     * @param {Function} getDayTimeRange - 終日候補の時間帯を日付から求める関数（受け取った側の設定）
+     * @returns {Array} - 候補の配列
+     */
+    decodeCandidates(text, getDayTimeRange = () => ({ startHour: 9, endHour: 18 })) {
+        if (!text) {
+            return [];
+        }
+
+        const baseId = Date.now();
+        const candidates = [];
+
+        text.split(',').forEach(token => {
+            const match = /^(\d{8})(?:(F)|T(\d{2})(\d{2})-(\d{2})(\d{2}))(?:~([\w-]+))?$/.exec(token);
+            const date = match && this._parseDate(match[1]);
+            if (!date) {
+                return;
+            }
+
+            const candidate = {
+                id: baseId + candidates.length,
+                date: date,
+                dayOffset: (date.getDay() + 6) % 7
+            };
+
+            if (match[2]) {
+                const range = getDayTimeRange(date);
+                Object.assign(candidate, {
+                    startHour: range.startHour,
+                    startMinute: 0,
+                    endHour: range.endHour,
+                    endMinute: 0,
+                    isFullDay: true
+                });
+            } else {
+                Object.assign(candidate, {
+                    startHour: Number(match[3]),
+                    startMinute: Number(match[4]),
+                    endHour: Number(match[5]),
+                    endMinute: Number(match[6])
+                });
+                const start = candidate.startHour * 60 + candidate.startMinute;
+                const end = candidate.endHour * 60 + candidate.endMinute;
+                if (candidate.startMinute >= 60 || candidate.endMinute >= 60 || end <= start || end > 24 * 60) {
+                    return;
+                }
+            }
+
+            if (match[7]) {
+                Object.assign(candidate, this._decodeAnnotations(match[7]));
+            }
+
+            candidates.push(candidate);
+        });
+
+        return candidates;
+    }
+
+    /**
+     * ハッシュ文字列を生成
+     * @param {Array} candidates - 候補の配列
+     * @param {Date} weekDate - 表示中の週に含まれる日付
+     * @returns {string} - 先頭の#を含まないハッシュ
+     */
+    encode(candidates, weekDate) {
+        const params = [`v=${this.version}`, `w=${this._formatDate(weekDate)}`];
+        if (candidates.length > 0) {
+            params.push(`c=${this.encodeCandidates(candidates)}`);
+        }
+        return params.join('&');
+    }
+
+    /**
+     * ハッシュ文字列をデコード
+     * @param {string} hash - location.hash
+     * @param {Function} [getDayTimeRange] - 終日候補の時間帯を日付から求める関数
+     * @returns {{week: Date|null, candidates: Array}|null} - 共有リンクでない場合null
+     */
+    decode(hash, getDayTimeRange) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        if (params.get('v') !== this.version) {
+            return null;
+        }
+
+        return {
+            week: this._parseDate(params.get('w') || ''),
+            candidates: this.decodeCandidates(params.get('c'), getDayTimeRange)
+        };
+    }
+}
@@ -2,12 +2,91 @@
 class TextGenerator {
     constructor() {
         this.weekdays = ['日', '月', '火', '水', '木', '金', '土'];
+        
+        // 出力フォーマット（テンプレート）。使えるトークンは this.tokens を参照
         this.formats = {
-            standard: 'YYYY年M月D日（曜） HH:MM〜HH:MM',
-            simple: 'M/D（曜） HH:MM〜HH:MM',
-            detailed: 'YYYY年MM月DD日（曜日） HH:MM〜HH:MM'
+            standard: '{M}月{D}日（{ddd}） {start}〜{end}',
+            simple: '{M}/{D}（{ddd}） {start}〜{end}',
+            detailed: '{YYYY}年{MM}月{DD}日（{dddd}） {startPad}〜{endPad}'
+        };
+        // 終日の候補に使うテンプレート
+        this.fullDayFormats = {
+            standard: '{M}月{D}日（{ddd}）',
+            simple: '{M}/{D}（{ddd}）',
+            detailed: '{YYYY}年{MM}月{DD}日（{dddd}）'
+        };
+        this.formatLabels = {
+            standard: '標準',
+            simple: 'シンプル',
+            detailed: '詳細'
+        };
+        this.builtInFormats = Object.keys(this.formats);
+        
+        this.tokens = {
+            YYYY: '年（4桁）',
+            M: '月',
+            MM: '月（2桁）',
+            D: '日',
+            DD: '日（2桁）',
+            ddd: '曜日（火）',
+            dddd: '曜日（火曜日）',
+            start: '開始時刻（9:00）',
+            end: '終了時刻（10:30）',
+            startPad: '開始時刻（09:00）',
+            endPad: '終了時刻（10:30）',
+            duration: '所要時間（1時間30分）'
+        };
+        
+        // 出力スタイル（候補の並べ方）
+        this.outputStyles = {
+            plain: 'そのまま',
+            email: 'メール（番号付き）',
+            chat: 'チャット（箇条書き）',
+            byDate: '日付ごと'
+        };
+        
+        // 出力言語（日本語以外は Intl.DateTimeFormat で日付・時刻を生成）
+        // annotation: 候補の注記の書き方（会議形式・場所を括弧で囲み、メモは接頭辞の後に続ける）
+        // slotWindow: 時間帯の中で所要時間を選んでもらう場合の書き方（{text} は日時、{duration} は所要時間）
+        this.languages = {
+            ja: {
+                label: '日本語', locale: 'ja-JP', emailHeader: '候補日時：', bullet: '・',
+                annotation: { open: '（', close: '）', separator: '・', notePrefix: ' ※' },
+                meetingTypes: { online: 'オンライン', inPerson: '対面' },
+                slotWindow: '{text} の間で{duration}'
+            },
+            en: {
+                label: 'English', locale: 'en-US', emailHeader: 'Proposed times:', bullet: '• ',
+                annotation: { open: ' (', close: ')', separator: ', ', notePrefix: ' - ' },
+                meetingTypes: { online: 'Online', inPerson: 'In person' },
+                slotWindow: '{text} ({duration} within this window)'
+            }
         };
+        // 日本語以外で組み込みフォーマットに使う日付の書式
+        this.intlDateOptions = {
+            standard: { weekday: 'short', month: 'short', day: 'numeric' },
+            simple: { weekday: 'short', month: 'numeric', day: 'numeric' },
+            detailed: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }
+        };
+        this.intlFormatters = new Map();
+        this.language = 'ja';
+        
         this.currentFormat = 'standard';
+        this.icsTimeZone = 'Asia/Tokyo';
+        // 候補の注記（note: メモ, location: 場所, meetingType: online / inPerson）を出力に付けるか
+        this.includeAnnotations = true;
+        
+        // 長い時間帯の出力方法
+        // none: そのまま / split: length 分ごとの枠に分ける（枠の間に gap 分空ける） / window: 時間帯と所要時間を書く
+        this.slotModes = ['none', 'split', 'window'];
+        this.slotOptions = { mode: 'none', length: 60, gap: 0 };
+        
+        // 候補の時刻は baseTimeZone の壁時計時刻として扱い、相手のタイムゾーンに変換して出力する
+        this.timeZoneUtil = new TimeZoneUtil();
+        this.baseTimeZone = this.icsTimeZone;
+        this.recipientTimeZones = [];
+        // convert: 相手のタイムゾーンのみ / dual: 自分のタイムゾーンと併記
+        this.timeZoneMode = 'convert';
     }
     
     // フォーマットを設定
@@ -18,93 +97,304 @@ class TextGenerator {
         return this;
     }
     
-    // 候補データから文字列を生成
+    // 出力言語を設定
+    setLanguage(language) {
+        if (this.languages[language]) {
+            this.language = language;
+        }
+        return this;
+    }
+    
+    // 相手のタイムゾーンと出力方法を設定
+    setTimeZones(timeZones, mode = this.timeZoneMode) {
+        this.recipientTimeZones = (timeZones || []).filter(timeZone => this.timeZoneUtil.resolve(timeZone));
+        this.timeZoneMode = mode === 'dual' ? 'dual' : 'convert';
+        return this;
+    }
+    
+    // 注記を出力に付けるかを設定
+    setAnnotations(enabled) {
+        this.includeAnnotations = enabled !== false;
+        return this;
+    }
+    
+    // 長い時間帯の出力方法を設定（長さ・間隔は分）
+    setSlots(mode, length = this.slotOptions.length, gap = this.slotOptions.gap) {
+        this.slotOptions = {
+            mode: this.slotModes.includes(mode) ? mode : 'none',
+            length: length > 0 ? length : this.slotOptions.length,
+            gap: gap > 0 ? gap : 0
+        };
+        return this;
+    }
+    
+    // フォーマットを追加（同じキーがあれば上書き）
+    addFormat(key, label, template, fullDayTemplate = '') {
+        this.formats[key] = template;
+        this.fullDayFormats[key] = fullDayTemplate;
+        this.formatLabels[key] = label;
+        return this;
+    }
+    
+    // 追加したフォーマットを削除（組み込みのフォーマットは削除しない）
+    removeFormat(key) {
+        if (this.builtInFormats.includes(key) || !this.formats[key]) {
+            return this;
+        }
+        
+        delete this.formats[key];
+        delete this.fullDayFormats[key];
+        delete this.formatLabels[key];
+        
+        if (this.currentFormat === key) {
+            this.currentFormat = 'standard';
+        }
+        return this;
+    }
+    
+    // 選択肢として表示するフォーマット一覧
+    getFormatOptions() {
+        return Object.keys(this.formats).map(key => ({
+            key: key,
+            label: this.formatLabels[key] || key,
+            builtIn: this.builtInFormats.includes(key)
+        }));
+    }
+    
+    // テンプレート中の未知のトークンを取得（{...} のうち this.tokens にないもの）
+    findUnknownTokens(template) {
+        const unknown = [];
+        (template || '').replace(/\{(\w+)\}/g, (match, name) => {
+            if (!this.tokens[name] && !unknown.includes(match)) {
+                unknown.push(match);
+            }
+            return match;
+        });
+        return unknown;
+    }
+    
+    // 候補データから文字列を生成（設定されていれば注記を後ろに付ける）
     formatCandidate(candidate, format = this.currentFormat) {
         if (!candidate || !candidate.date) {
             return '';
         }
         
-        // 終日の場合は特別なフォーマット
-        if (candidate.isFullDay) {
-            return this.formatFullDay(candidate, format);
-        }
+        let text = this.formatCandidateTime(candidate, format);
         
-        switch (format) {
-            case 'standard':
-                return this.formatStandard(candidate);
-            case 'simple':
-                return this.formatSimple(candidate);
-            case 'detailed':
-                return this.formatDetailed(candidate);
-            default:
-                return this.formatStandard(candidate);
+        // 時間帯の中から選んでもらう場合: 3月4日（火） 9:00〜12:00 の間で1時間
+        if (candidate.slotWindow) {
+            text = this.languages[this.language].slotWindow
+                .replace('{text}', text)
+                .replace('{duration}', this.formatDuration(candidate.slotWindow));
         }
+        return this.includeAnnotations ? text + this.formatAnnotations(candidate) : text;
     }
     
-    // 標準フォーマット: 3月4日（火） 9:00〜12:00
-    formatStandard(candidate) {
-        const date = candidate.date;
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        const weekday = this.weekdays[date.getDay()];
+    // 候補の注記を文字列に変換（例: （オンライン・本社3F） ※30分程度で可、注記が無い場合は空文字）
+    formatAnnotations(candidate) {
+        const language = this.languages[this.language];
+        const details = [language.meetingTypes[candidate.meetingType], candidate.location].filter(Boolean);
+        
+        let text = details.length > 0
+            ? `${language.annotation.open}${details.join(language.annotation.separator)}${language.annotation.close}`
+            : '';
+        if (candidate.note) {
+            text += `${language.annotation.notePrefix}${candidate.note}`;
+        }
+        return text;
+    }
+    
+    // 注記が同じかどうか（未設定と空文字は同じとみなす）
+    hasSameAnnotations(a, b) {
+        return ['note', 'location', 'meetingType'].every(key => (a[key] || '') === (b[key] || ''));
+    }
+    
+    // 候補の日時部分の文字列を生成
+    formatCandidateTime(candidate, format = this.currentFormat) {
+        // 相手のタイムゾーンが無い場合と終日の場合は変換しない
+        if (this.recipientTimeZones.length === 0 || candidate.isFullDay) {
+            return this.formatWallClock(candidate, format);
+        }
         
-        const startTime = this.formatTime(candidate.startHour, candidate.startMinute);
-        const endTime = this.formatTime(candidate.endHour, candidate.endMinute);
+        // 例: 3月4日（火） 9:00〜10:00 JST / 3月3日（月） 19:00〜20:00 EST
+        const timeZones = this.timeZoneMode === 'dual'
+            ? [this.baseTimeZone, ...this.recipientTimeZones.filter(timeZone => timeZone !== this.baseTimeZone)]
+            : this.recipientTimeZones;
         
-        return `${month}月${day}日（${weekday}） ${startTime}〜${endTime}`;
+        return timeZones.map(timeZone => {
+            const text = this.formatWallClock(this.convertCandidate(candidate, timeZone), format);
+            return `${text} ${this.getTimeZoneLabel(candidate, timeZone)}`;
+        }).join(' / ');
     }
     
-    // シンプルフォーマット: 3/4（火） 9:00〜12:00
-    formatSimple(candidate) {
-        const date = candidate.date;
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        const weekday = this.weekdays[date.getDay()];
+    // 候補の時刻をそのままフォーマット
+    formatWallClock(candidate, format = this.currentFormat) {
+        // 日本語以外の組み込みフォーマットは Intl で生成
+        if (this.language !== 'ja' && this.intlDateOptions[format]) {
+            return this.formatIntl(candidate, format);
+        }
         
-        const startTime = this.formatTime(candidate.startHour, candidate.startMinute);
-        const endTime = this.formatTime(candidate.endHour, candidate.endMinute);
+        // 終日の場合は終日用のテンプレートを使う
+        if (candidate.isFullDay) {
+            return this.formatFullDay(candidate, format);
+        }
         
-        return `${month}/${day}（${weekday}） ${startTime}〜${endTime}`;
+        const template = this.formats[format] || this.formats.standard;
+        return this.renderTemplate(template, candidate);
     }
     
-    // 詳細フォーマット: 2025年03月04日（火曜日） 09:00〜12:00
-    formatDetailed(candidate) {
+    // 候補の開始・終了時刻（baseTimeZone の壁時計時刻）を実時刻に変換
+    getCandidateInstants(candidate) {
         const date = candidate.date;
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const weekday = this.weekdays[date.getDay()] + '曜日';
+        const fields = { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
         
-        const startTime = this.formatTime(candidate.startHour, candidate.startMinute, true);
-        const endTime = this.formatTime(candidate.endHour, candidate.endMinute, true);
+        return {
+            start: this.timeZoneUtil.zonedTimeToDate(
+                { ...fields, hour: candidate.startHour, minute: candidate.startMinute }, this.baseTimeZone),
+            end: this.timeZoneUtil.zonedTimeToDate(
+                { ...fields, hour: candidate.endHour, minute: candidate.endMinute }, this.baseTimeZone)
+        };
+    }
+    
+    // 候補を指定タイムゾーンの壁時計時刻に変換（日付をまたぐ終了時刻は24時以降として表す）
+    convertCandidate(candidate, timeZone) {
+        if (timeZone === this.baseTimeZone) {
+            return candidate;
+        }
         
-        return `${year}年${month}月${day}日（${weekday}） ${startTime}〜${endTime}`;
+        const { start, end } = this.getCandidateInstants(candidate);
+        const startParts = this.timeZoneUtil.toZonedParts(start, timeZone);
+        const endParts = this.timeZoneUtil.toZonedParts(end, timeZone);
+        const date = new Date(startParts.year, startParts.month - 1, startParts.day);
+        const endDate = new Date(endParts.year, endParts.month - 1, endParts.day);
+        const dayDiff = Math.round((endDate - date) / (24 * 60 * 60 * 1000));
+        
+        return {
+            ...candidate,
+            date: date,
+            startHour: startParts.hour,
+            startMinute: startParts.minute,
+            endHour: endParts.hour + dayDiff * 24,
+            endMinute: endParts.minute,
+            dayOffset: (date.getDay() + 6) % 7
+        };
+    }
+    
+    // タイムゾーンの表記（候補の開始時刻での略称。例: JST, EDT）
+    getTimeZoneLabel(candidate, timeZone) {
+        return this.timeZoneUtil.getAbbreviation(this.getCandidateInstants(candidate).start, timeZone);
+    }
+    
+    // 指定タイムゾーンでの時間帯（日付が変わる場合は日付も付ける）: 3/3 19:00〜20:00 EST
+    formatTimeRangeInZone(candidate, timeZone) {
+        const converted = this.convertCandidate(candidate, timeZone);
+        const startTime = this.formatTime(converted.startHour, converted.startMinute);
+        const endTime = this.formatTime(converted.endHour, converted.endMinute);
+        const label = this.getTimeZoneLabel(candidate, timeZone);
+        
+        const datePrefix = this.getDateKey(converted.date) === this.getDateKey(candidate.date)
+            ? ''
+            : `${converted.date.getMonth() + 1}/${converted.date.getDate()} `;
+        return `${datePrefix}${startTime}〜${endTime} ${label}`;
     }
     
     // 終日フォーマット: 9月4日（木）
     formatFullDay(candidate, format = 'standard') {
+        // 終日用のテンプレートが空の場合は標準の終日テンプレートを使う
+        const template = this.fullDayFormats[format] || this.fullDayFormats.standard;
+        return this.renderTemplate(template, candidate);
+    }
+    
+    // 日本語以外のフォーマット: Tue, Mar 4, 9:00 AM – 10:30 AM
+    formatIntl(candidate, format = 'standard') {
+        const dateText = this.getIntlFormatter(this.intlDateOptions[format]).format(candidate.date);
+        if (candidate.isFullDay) {
+            return dateText;
+        }
+        
+        const startTime = this.formatTime(candidate.startHour, candidate.startMinute);
+        const endTime = this.formatTime(candidate.endHour, candidate.endMinute);
+        return `${dateText}, ${startTime} – ${endTime}`;
+    }
+    
+    // 出力言語の Intl.DateTimeFormat を取得（オプションごとにキャッシュ）
+    getIntlFormatter(options) {
+        const locale = this.languages[this.language].locale;
+        const key = `${locale}:${JSON.stringify(options)}`;
+        
+        if (!this.intlFormatters.has(key)) {
+            this.intlFormatters.set(key, new Intl.DateTimeFormat(locale, options));
+        }
+        return this.intlFormatters.get(key);
+    }
+    
+    // テンプレートのトークンを候補の値で置き換え（未知のトークンはそのまま残す）
+    renderTemplate(template, candidate) {
+        const values = this.getTokenValues(candidate);
+        return template.replace(/\{(\w+)\}/g, (match, name) => {
+            return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match;
+        });
+    }
+    
+    // トークンに対応する値を生成
+    getTokenValues(candidate) {
         const date = candidate.date;
-        const year = date.getFullYear();
         const month = date.getMonth() + 1;
         const day = date.getDate();
         const weekday = this.weekdays[date.getDay()];
+        const duration = (candidate.endHour * 60 + candidate.endMinute) -
+                         (candidate.startHour * 60 + candidate.startMinute);
+        const isJapanese = this.language === 'ja';
         
-        switch (format) {
-            case 'standard':
-                return `${month}月${day}日（${weekday}）`;
-            case 'simple':
-                return `${month}/${day}（${weekday}）`;
-            case 'detailed':
-                const monthStr = String(month).padStart(2, '0');
-                const dayStr = String(day).padStart(2, '0');
-                return `${year}年${monthStr}月${dayStr}日（${weekday}曜日）`;
-            default:
-                return `${month}月${day}日（${weekday}）`;
+        return {
+            YYYY: String(date.getFullYear()),
+            M: String(month),
+            MM: String(month).padStart(2, '0'),
+            D: String(day),
+            DD: String(day).padStart(2, '0'),
+            ddd: isJapanese ? weekday : this.getIntlFormatter({ weekday: 'short' }).format(date),
+            dddd: isJapanese ? weekday + '曜日' : this.getIntlFormatter({ weekday: 'long' }).format(date),
+            start: this.formatTime(candidate.startHour, candidate.startMinute),
+            end: this.formatTime(candidate.endHour, candidate.endMinute),
+            startPad: this.formatTime(candidate.startHour, candidate.startMinute, true),
+            endPad: this.formatTime(candidate.endHour, candidate.endMinute, true),
+            duration: this.formatDuration(duration)
+        };
+    }
+    
+    // 所要時間をフォーマット: 1時間30分 / 1 hr 30 min
+    formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        
+        if (this.language !== 'ja') {
+            const parts = [];
+            if (hours > 0) parts.push(`${hours} hr`);
+            if (rest > 0 || hours === 0) parts.push(`${rest} min`);
+            return parts.join(' ');
         }
+        
+        if (hours === 0) {
+            return `${rest}分`;
+        }
+        return rest === 0 ? `${hours}時間` : `${hours}時間${rest}分`;
     }
     
-    // 時間をフォーマット
+    // 時間をフォーマット（日本語以外は 9:00 AM の形式）
     formatTime(hour, minute, padHour = false) {
+        // 翌日にまたがった終了時刻: 翌1:00 / 1:00 AM (+1)
+        // 日本語は 24:00 のまま、それ以外は 12:00 AM (+1) として当日の午前0時と区別する
+        if (hour > 24 || (hour === 24 && (minute > 0 || this.language !== 'ja'))) {
+            const time = this.formatTime(hour - 24, minute, padHour);
+            return this.language === 'ja' ? `翌${time}` : `${time} (+1)`;
+        }
+        
+        if (this.language !== 'ja') {
+            const formatter = this.getIntlFormatter({ hour: padHour ? '2-digit' : 'numeric', minute: '2-digit' });
+            // 狭いスペース（U+202F）はメールで崩れないよう通常のスペースに
+            return formatter.format(new Date(2000, 0, 1, hour, minute)).replace(/\u202f/g, ' ');
+        }
+        
         const hourStr = padHour ? String(hour).padStart(2, '0') : String(hour);
         const minuteStr = String(minute).padStart(2, '0');
         return `${hourStr}:${minuteStr}`;
@@ -154,10 +444,11 @@ class TextGenerator {
                 continue;
             }
             
-            // 同じ日で連続する時間かチェック
+            // 同じ日で連続する時間かチェック（注記が異なる枠は結合しない）
             if (this.getDateKey(current.date) === this.getDateKey(candidate.date) &&
                 current.endHour === candidate.startHour &&
-                current.endMinute === candidate.startMinute) {
+                current.endMinute === candidate.startMinute &&
+                this.hasSameAnnotations(current, candidate)) {
                 
                 // 連続している場合、終了時間を更新
                 current.endHour = candidate.endHour;
@@ -178,6 +469,39 @@ class TextGenerator {
         return merged;
     }
     
+    // 結合した時間枠を長い時間帯の出力方法に合わせて変換
+    // 終日の枠と、指定の長さ以下の枠はそのまま。split で最後に長さが足りない部分は出力しない
+    applySlots(candidates) {
+        const { mode, length, gap } = this.slotOptions;
+        if (mode === 'none') {
+            return candidates;
+        }
+        
+        return candidates.flatMap(candidate => {
+            const startTime = candidate.startHour * 60 + candidate.startMinute;
+            const endTime = candidate.endHour * 60 + candidate.endMinute;
+            if (candidate.isFullDay || endTime - startTime <= length) {
+                return [candidate];
+            }
+            
+            if (mode === 'window') {
+                return [{ ...candidate, slotWindow: length }];
+            }
+            
+            const slots = [];
+            for (let time = startTime; time + length <= endTime; time += length + gap) {
+                slots.push({
+                    ...candidate,
+                    startHour: Math.floor(time / 60),
+                    startMinute: time % 60,
+                    endHour: Math.floor((time + length) / 60),
+                    endMinute: (time + length) % 60
+                });
+            }
+            return slots;
+        });
+    }
+    
     // 日付でグループ化
     groupByDate(candidates) {
         const groups = new Map();
@@ -225,8 +549,24 @@ class TextGenerator {
         return result.join('\n\n');
     }
     
+    // 出力スタイルに合わせてフォーマット（連続する時間枠は結合し、長い時間帯の出力方法を適用する）
+    formatOutput(candidates, style = 'plain', format = this.currentFormat) {
+        const merged = this.applySlots(this.mergeContinuousCandidates(candidates));
+        
+        switch (style) {
+            case 'email':
+                return this.formatForEmail(merged, true, format);
+            case 'chat':
+                return this.formatForChat(merged, this.languages[this.language].bullet, format);
+            case 'byDate':
+                return this.formatByDate(merged, format);
+            default:
+                return this.formatCandidates(merged, format);
+        }
+    }
+    
     // メール用のフォーマット
-    formatForEmail(candidates, includeHeader = true) {
+    formatForEmail(candidates, includeHeader = true, format = this.currentFormat) {
         if (!Array.isArray(candidates) || candidates.length === 0) {
             return '';
         }
@@ -235,18 +575,18 @@ class TextGenerator {
         let result = '';
         
         if (includeHeader) {
-            result += '候補日時：\n';
+            result += `${this.languages[this.language].emailHeader}\n`;
         }
         
         sortedCandidates.forEach((candidate, index) => {
-            result += `${index + 1}. ${this.formatCandidate(candidate)}\n`;
+            result += `${index + 1}. ${this.formatCandidate(candidate, format)}\n`;
         });
         
         return result.trim();
     }
     
     // チャット用のフォーマット
-    formatForChat(candidates, bullet = '・') {
+    formatForChat(candidates, bullet = this.languages[this.language].bullet, format = this.currentFormat) {
         if (!Array.isArray(candidates) || candidates.length === 0) {
             return '';
         }
@@ -254,7 +594,7 @@ class TextGenerator {
         const sortedCandidates = this.sortCandidates(candidates);
         
         return sortedCandidates.map(candidate => 
-            `${bullet}${this.formatCandidate(candidate)}`
+            `${bullet}${this.formatCandidate(candidate, format)}`
         ).join('\n');
     }
     
@@ -355,16 +695,125 @@ class TextGenerator {
                 formatted_text: this.formatCandidate(candidate),
                 day_of_week: candidate.date.getDay(),
                 duration_minutes: (candidate.endHour * 60 + candidate.endMinute) - 
-                                 (candidate.startHour * 60 + candidate.startMinute)
+                                 (candidate.startHour * 60 + candidate.startMinute),
+                note: candidate.note || null,
+                location: candidate.location || null,
+                meeting_type: candidate.meetingType || null
             }))
         }, null, 2);
     }
     
+    // iCalendar形式（仮押さえ予定）を生成
+    exportToIcs(candidates, options = {}) {
+        const summary = options.summary || '仮押さえ';
+        const description = options.description || '';
+        const now = options.now || new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const formatDate = date => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+        const formatTime = (hour, minute) => `${pad(hour)}${pad(minute)}00`;
+        const dtstamp = `${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}T` +
+                        `${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}${pad(now.getUTCSeconds())}Z`;
+        
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//schedule-text-generator//JA',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VTIMEZONE',
+            `TZID:${this.icsTimeZone}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0900',
+            'TZOFFSETTO:+0900',
+            'TZNAME:JST',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+        
+        // 連続する時間枠を結合し、1枠につき1件の予定にする
+        this.mergeContinuousCandidates(candidates).forEach(candidate => {
+            const dateStr = formatDate(candidate.date);
+            
+            lines.push('BEGIN:VEVENT');
+            
+            if (candidate.isFullDay) {
+                const nextDay = new Date(candidate.date);
+                nextDay.setDate(nextDay.getDate() + 1);
+                lines.push(`UID:${dateStr}-allday-${candidate.id}@schedule-text-generator`);
+                lines.push(`DTSTAMP:${dtstamp}`);
+                lines.push(`DTSTART;VALUE=DATE:${dateStr}`);
+                lines.push(`DTEND;VALUE=DATE:${formatDate(nextDay)}`);
+            } else {
+                const start = formatTime(candidate.startHour, candidate.startMinute);
+                // 時は 00〜23 のみ有効なため、24:00 終了は翌日の 00:00 として書き出す
+                const endDate = new Date(candidate.date);
+                endDate.setDate(endDate.getDate() + Math.floor(candidate.endHour / 24));
+                const end = formatTime(candidate.endHour % 24, candidate.endMinute);
+                lines.push(`UID:${dateStr}-${start}-${candidate.id}@schedule-text-generator`);
+                lines.push(`DTSTAMP:${dtstamp}`);
+                lines.push(`DTSTART;TZID=${this.icsTimeZone}:${dateStr}T${start}`);
+                lines.push(`DTEND;TZID=${this.icsTimeZone}:${formatDate(endDate)}T${end}`);
+            }
+            
+            lines.push(`SUMMARY:${this.escapeIcsText(summary)}`);
+            // 候補のメモは説明に、場所は LOCATION に入れる
+            const eventDescription = [description, candidate.note].filter(Boolean).join('\n');
+            if (eventDescription) {
+                lines.push(`DESCRIPTION:${this.escapeIcsText(eventDescription)}`);
+            }
+            if (candidate.location) {
+                lines.push(`LOCATION:${this.escapeIcsText(candidate.location)}`);
+            }
+            lines.push('STATUS:TENTATIVE');
+            lines.push('TRANSP:OPAQUE');
+            lines.push('END:VEVENT');
+        });
+        
+        lines.push('END:VCALENDAR');
+        
+        return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+    }
+    
+    // iCalendarのTEXT値をエスケープ
+    escapeIcsText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+    
+    // 75オクテットを超える行を折り返す（マルチバイト文字の途中では切らない）
+    foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+        
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            // 継続行は先頭の空白1オクテットを含めて75オクテット以内
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + charBytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        parts.push(current);
+        
+        return parts.join('\r\n ');
+    }
+    
     // デバッグ情報
     getDebugInfo(candidates = []) {
         return {
             currentFormat: this.currentFormat,
             availableFormats: Object.keys(this.formats),
+            slotOptions: this.slotOptions,
             candidatesCount: candidates.length,
             stats: this.generateStats(candidates),
             conflicts: this.checkTimeConflicts(candidates)
@@ -0,0 +1,152 @@
+/**
+ * タイムゾーン計算ユーティリティ
+ * Intl.DateTimeFormat を使って、IANAタイムゾーンの壁時計時刻と実時刻（Date）を相互に変換する
+ */
+class TimeZoneUtil {
+    constructor() {
+        this.formatters = new Map();
+
+        // Outlook等が出力するWindowsのタイムゾーン名 → IANA名
+        this.windowsZones = {
+            'Tokyo Standard Time': 'Asia/Tokyo',
+            'Korea Standard Time': 'Asia/Seoul',
+            'China Standard Time': 'Asia/Shanghai',
+            'Singapore Standard Time': 'Asia/Singapore',
+            'India Standard Time': 'Asia/Kolkata',
+            'AUS Eastern Standard Time': 'Australia/Sydney',
+            'GMT Standard Time': 'Europe/London',
+            'W. Europe Standard Time': 'Europe/Berlin',
+            'Romance Standard Time': 'Europe/Paris',
+            'Central Europe Standard Time': 'Europe/Budapest',
+            'Eastern Standard Time': 'America/New_York',
+            'Central Standard Time': 'America/Chicago',
+            'Mountain Standard Time': 'America/Denver',
+            'Pacific Standard Time': 'America/Los_Angeles',
+            'Hawaiian Standard Time': 'Pacific/Honolulu',
+            'UTC': 'UTC'
+        };
+    }
+
+    /**
+     * タイムゾーン名をIANA名に正規化
+     * @param {string} timeZone - IANA名またはWindows名
+     * @returns {string|null} - 解決できない場合null
+     */
+    resolve(timeZone) {
+        if (!timeZone) {
+            return null;
+        }
+
+        const name = timeZone.replace(/^"|"$/g, '').trim();
+        const candidate = this.windowsZones[name] || name;
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: candidate });
+            return candidate;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * ブラウザのタイムゾーンを取得
+     */
+    getLocalTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    _getFormatter(timeZone) {
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric',
+                weekday: 'short'
+            }));
+        }
+        return this.formatters.get(timeZone);
+    }
+
+    /**
+     * 実時刻を指定タイムゾーンの壁時計時刻に分解
+     * @param {Date} date - 実時刻
+     * @param {string} timeZone - IANAタイムゾーン名
+     * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+     */
+    toZonedParts(date, timeZone) {
+        const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+        const parts = {};
+
+        this._getFormatter(timeZone).formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            year: Number(parts.year),
+            month: Number(parts.month),
+            day: Number(parts.day),
+            hour: Number(parts.hour) % 24,
+            minute: Number(parts.minute),
+            second: Number(parts.second),
+            weekday: weekdays[parts.weekday]
+        };
+    }
+
+    /**
+     * 指定タイムゾーンのUTCからのオフセット（分）を取得
+     */
+    getOffsetMinutes(date, timeZone) {
+        const parts = this.toZonedParts(date, timeZone);
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * タイムゾーンの略称を取得（例: JST, EST）
+     * 略称はロケールによって出る・出ないが異なるため、GMT±hh 以外が得られるロケールを順に試す
+     * @param {Date} date - 実時刻（夏時間の判定に使う）
+     * @param {string} timeZone - IANAタイムゾーン名
+     * @returns {string} - 略称が無いタイムゾーンは GMT+8 の形式
+     */
+    getAbbreviation(date, timeZone) {
+        const locales = ['en-US', 'ja-JP', 'en-GB', 'en-SG', 'en-AU', 'en-IN'];
+        let fallback = null;
+
+        for (const locale of locales) {
+            const part = new Intl.DateTimeFormat(locale, { timeZone: timeZone, timeZoneName: 'short' })
+                .formatToParts(date)
+                .find(item => item.type === 'timeZoneName');
+            const name = part ? part.value : '';
+
+            if (!/^(GMT|UTC)[+\-−]/.test(name)) {
+                return name || fallback;
+            }
+            fallback = fallback || name;
+        }
+
+        return fallback;
+    }
+
+    /**
+     * 指定タイムゾーンの壁時計時刻を実時刻に変換
+     * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} fields - 月は1始まり
+     * @param {string} timeZone - IANAタイムゾーン名
+     * @returns {Date}
+     */
+    zonedTimeToDate(fields, timeZone) {
+        const asUtc = Date.UTC(
+            fields.year, fields.month - 1, fields.day,
+            fields.hour || 0, fields.minute || 0, fields.second || 0
+        );
+
+        // オフセットは時刻によって変わる（夏時間）ため、2回補正する
+        let guess = asUtc - this.getOffsetMinutes(new Date(asUtc), timeZone) * 60000;
+        guess = asUtc - this.getOffsetMinutes(new Date(guess), timeZone) * 60000;
+        return new Date(guess);
+    }
+}
@@ -2,12 +2,51 @@ const fs = require('fs');
 const path = require('path');
 
 /**
- * 祝日データを内閣府のCSVから取得してJSONファイルを生成する
+ * 日本の祝日データ（内閣府のCSV）
  */
-class HolidayFetcher {
+class JapanHolidaySource {
     constructor() {
+        this.id = 'jp';
+        this.outputFile = 'holidays.json';
+        this.dataSource = '内閣府「国民の祝日」について';
         this.csvUrl = 'https://www8.cao.go.jp/chosei/shukujitsu/syukujitsu.csv';
-        this.outputPath = path.join(process.cwd(), 'assets', 'holidays.json');
+        this.sourceUrl = this.csvUrl;
+    }
+
+    /**
+     * 祝日データを取得（年ごとの祝日一覧）
+     * @param {Object} options - input: ローカルのCSVファイル（指定時はダウンロードしない）, years: 対象の年の範囲 { from, to }
+     */
+    async fetchHolidays(options = {}) {
+        const csvText = options.input ? this.readCSVFile(options.input) : await this.fetchCSV();
+        return this.parseCSV(csvText, options.years);
+    }
+
+    /**
+     * --years を指定しない場合の対象の年（今年以降）
+     */
+    getDefaultYears() {
+        return { from: new Date().getFullYear(), to: Infinity };
+    }
+
+    /**
+     * ローカルのCSVファイルを読み込み（Shift_JIS・UTF-8のどちらでも可）
+     */
+    readCSVFile(filePath) {
+        console.log(`📂 CSVファイルを読み込み中: ${filePath}`);
+        return this.decodeCSV(fs.readFileSync(filePath));
+    }
+
+    /**
+     * CSVのバイト列を文字列に変換
+     * UTF-8として正しく読めない場合はShift_JIS（内閣府の配布形式）とみなす
+     */
+    decodeCSV(buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (error) {
+            return new TextDecoder('shift_jis').decode(buffer);
+        }
     }
 
     /**
@@ -24,38 +63,33 @@ class HolidayFetcher {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             
-            // バイナリデータとして取得してShift_JISとしてデコード
+            // バイナリデータとして取得して文字コードを判定してデコード
             const buffer = await response.arrayBuffer();
-            const decoder = new TextDecoder('shift_jis');
-            const csvText = decoder.decode(buffer);
+            const csvText = this.decodeCSV(new Uint8Array(buffer));
             
             console.log('✅ CSVデータの取得完了');
             return csvText;
             
         } catch (error) {
             console.error('❌ CSVデータの取得に失敗:', error.message);
-            // Shift_JISデコードに失敗した場合はUTF-8で再試行
-            try {
-                console.log('⚠️ Shift_JISデコードに失敗、UTF-8で再試行...');
-                const response = await fetch(this.csvUrl);
-                const csvText = await response.text();
-                return csvText;
-            } catch (fallbackError) {
-                throw new Error(`CSVデータの取得に失敗: ${error.message}`);
-            }
+            throw new Error(`CSVデータの取得に失敗: ${error.message}`);
         }
     }
 
     /**
      * CSVをパースしてJSONに変換
+     * 日付や名前が読めない行がある場合は、行番号を添えてエラーにする
+     * @param {string} csvText - CSVの内容
+     * @param {Object} years - 対象の年の範囲 { from, to }（省略時は今年以降）
      */
-    parseCSV(csvText) {
+    parseCSV(csvText, years) {
         console.log('📊 CSVデータをパース中...');
         
+        years = years || this.getDefaultYears();
         const lines = csvText.split('\n');
         const holidays = {};
+        const errors = [];
         let totalCount = 0;
-        const currentYear = new Date().getFullYear(); // 2025年
 
         // ヘッダー行をスキップ
         for (let i = 1; i < lines.length; i++) {
@@ -64,26 +98,33 @@ class HolidayFetcher {
 
             const [dateStr, nameStr] = line.split(',');
             
-            if (!dateStr || !nameStr) continue;
+            if (!dateStr || !nameStr || !nameStr.replace(/"/g, '').trim()) {
+                errors.push(`${i + 1}行目: 日付と祝日名が読み取れません（${line}）`);
+                continue;
+            }
 
             // 日付を解析 (YYYY/MM/DD形式)
-            const dateParts = dateStr.trim().split('/');
-            if (dateParts.length !== 3) continue;
-
-            const year = parseInt(dateParts[0]);
-            const month = parseInt(dateParts[1]);
-            const day = parseInt(dateParts[2]);
-
-            // 今年以前の祝日はスキップ（スケジュール調整用途のため）
-            if (year < currentYear) {
+            const dateMatch = /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/.exec(dateStr.trim());
+            if (!dateMatch) {
+                errors.push(`${i + 1}行目: 日付の形式が正しくありません（${dateStr.trim()}）`);
                 continue;
             }
 
+            const year = parseInt(dateMatch[1]);
+            const month = parseInt(dateMatch[2]);
+            const day = parseInt(dateMatch[3]);
+
             // 有効な日付かチェック
             const dateObj = new Date(year, month - 1, day);
             if (dateObj.getFullYear() !== year || 
                 dateObj.getMonth() !== month - 1 || 
                 dateObj.getDate() !== day) {
+                errors.push(`${i + 1}行目: 存在しない日付です（${dateStr.trim()}）`);
+                continue;
+            }
+
+            // 対象の年の範囲外はスキップ（既定では今年以前、スケジュール調整用途のため）
+            if (year < years.from || year > years.to) {
                 continue;
             }
 
@@ -107,16 +148,314 @@ class HolidayFetcher {
             totalCount++;
         }
 
+        if (errors.length > 0) {
+            throw new Error(`CSVの内容が正しくありません\n  ${errors.join('\n  ')}`);
+        }
+
         // 各年のデータを日付順にソート
         Object.keys(holidays).forEach(year => {
             holidays[year].sort((a, b) => a.date.localeCompare(b.date));
         });
 
-        console.log(`✅ パース完了: ${totalCount}件の祝日データ（${currentYear}年以降）`);
+        console.log(`✅ パース完了: ${totalCount}件の祝日データ（${formatYearRange(years)}）`);
         console.log(`📅 年数: ${Object.keys(holidays).length}年分`);
 
         return holidays;
     }
+}
+
+/**
+ * 米国の連邦祝日（5 U.S.C. 6103 の規定から計算）
+ * 土曜日の祝日は前日の金曜日、日曜日の祝日は翌日の月曜日に振り替える
+ */
+class UsHolidaySource {
+    constructor() {
+        this.id = 'us';
+        this.outputFile = 'holidays-us.json';
+        this.dataSource = 'U.S. federal holidays (5 U.S.C. 6103)';
+        this.sourceUrl = 'https://www.opm.gov/policy-data-oversight/pay-leave/federal-holidays/';
+    }
+
+    /**
+     * 祝日データを生成（年ごとの祝日一覧）
+     * @param {Object} options - years: 対象の年の範囲 { from, to }（省略時は今年と来年）
+     */
+    async fetchHolidays(options = {}) {
+        const { from, to } = options.years || this.getDefaultYears();
+        return this.generateHolidays(Array.from({ length: to - from + 1 }, (_, i) => from + i));
+    }
+
+    /**
+     * --years を指定しない場合の対象の年（今年と来年）
+     */
+    getDefaultYears() {
+        const currentYear = new Date().getFullYear();
+        return { from: currentYear, to: currentYear + 1 };
+    }
+
+    /**
+     * 指定した年の祝日データを生成
+     * 振替で年をまたぐ場合（1月1日が土曜日の場合など）は振替後の日付の年に含める
+     */
+    generateHolidays(years) {
+        console.log('📊 米国の連邦祝日を計算中...');
+
+        const holidays = {};
+        const sourceYears = [Math.min(...years) - 1, ...years, Math.max(...years) + 1];
+
+        sourceYears.forEach(year => {
+            this.getFederalHolidays(year).forEach(({ date, name }) => {
+                const observed = this.getObservedDate(date);
+                const observedYear = observed.getFullYear();
+                if (!years.includes(observedYear)) return;
+
+                if (!holidays[observedYear]) {
+                    holidays[observedYear] = [];
+                }
+                holidays[observedYear].push({
+                    date: formatDateKey(observed),
+                    name: observed.getTime() === date.getTime() ? name : `${name} (observed)`
+                });
+            });
+        });
+
+        Object.keys(holidays).forEach(year => {
+            holidays[year].sort((a, b) => a.date.localeCompare(b.date));
+        });
+
+        return holidays;
+    }
+
+    /**
+     * 指定年の連邦祝日（振替前の日付）
+     */
+    getFederalHolidays(year) {
+        return [
+            { date: new Date(year, 0, 1), name: "New Year's Day" },
+            { date: getNthWeekdayOfMonth(year, 1, 1, 3), name: 'Birthday of Martin Luther King, Jr.' },
+            { date: getNthWeekdayOfMonth(year, 2, 1, 3), name: "Washington's Birthday" },
+            { date: getLastWeekdayOfMonth(year, 5, 1), name: 'Memorial Day' },
+            { date: new Date(year, 5, 19), name: 'Juneteenth National Independence Day' },
+            { date: new Date(year, 6, 4), name: 'Independence Day' },
+            { date: getNthWeekdayOfMonth(year, 9, 1, 1), name: 'Labor Day' },
+            { date: getNthWeekdayOfMonth(year, 10, 1, 2), name: 'Columbus Day' },
+            { date: new Date(year, 10, 11), name: 'Veterans Day' },
+            { date: getNthWeekdayOfMonth(year, 11, 4, 4), name: 'Thanksgiving Day' },
+            { date: new Date(year, 11, 25), name: 'Christmas Day' }
+        ];
+    }
+
+    /**
+     * 振替後の日付（土曜日は前日、日曜日は翌日）
+     */
+    getObservedDate(date) {
+        const shift = { 6: -1, 0: 1 }[date.getDay()] || 0;
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + shift);
+    }
+}
+
+/**
+ * 日付キー（YYYY-MM-DD）をローカルの年月日から作る
+ */
+function formatDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 日付キー（YYYY-MM-DD）が存在する日付を表しているか
+ */
+function isValidDateKey(dateKey) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey);
+    if (!match) return false;
+    return formatDateKey(new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) === dateKey;
+}
+
+/**
+ * 年の範囲の表示（例: 2025〜2027年、2025年以降）
+ */
+function formatYearRange(years) {
+    if (!Number.isFinite(years.to)) return `${years.from}年以降`;
+    return years.from === years.to ? `${years.from}年` : `${years.from}〜${years.to}年`;
+}
+
+/**
+ * 指定月の第N曜日
+ */
+function getNthWeekdayOfMonth(year, month, weekday, n) {
+    const offset = (weekday - new Date(year, month - 1, 1).getDay() + 7) % 7;
+    return new Date(year, month - 1, 1 + offset + (n - 1) * 7);
+}
+
+/**
+ * 指定月の最終の曜日
+ */
+function getLastWeekdayOfMonth(year, month, weekday) {
+    const lastDay = new Date(year, month, 0);
+    const offset = (lastDay.getDay() - weekday + 7) % 7;
+    return new Date(year, month - 1, lastDay.getDate() - offset);
+}
+
+// 利用できるデータの取得元（キーは js/holidayProviders.js のプロバイダーの識別子）
+const holidaySources = {
+    jp: JapanHolidaySource,
+    us: UsHolidaySource
+};
+
+/**
+ * 祝日データを取得してJSONファイル（assets/ 以下）を生成する
+ */
+class HolidayFetcher {
+    /**
+     * @param {Object} source - データの取得元（JapanHolidaySource など）
+     */
+    constructor(source = new JapanHolidaySource()) {
+        this.source = source;
+        this.outputPath = path.join(process.cwd(), 'assets', source.outputFile);
+    }
+
+    /**
+     * 祝日データの形式を検証（問題がある場合はエラーにして書き込まない）
+     * 日付の形式・存在しない日付・別の年の日付・祝日名の欠落・重複・祝日のない年を検出する
+     * @param {Object} holidays - 年ごとの祝日一覧
+     * @param {Object} years - 対象の年の範囲 { from, to }（指定時は範囲内のすべての年が必要）
+     */
+    validateHolidays(holidays, years) {
+        const errors = [];
+        const seenDates = new Set();
+        const yearKeys = Object.keys(holidays);
+
+        if (yearKeys.length === 0) {
+            errors.push('祝日データが1件もありません');
+        }
+        if (years && Number.isFinite(years.to)) {
+            for (let year = years.from; year <= years.to; year++) {
+                if (!holidays[year]) errors.push(`${year}年: 祝日データがありません`);
+            }
+        }
+
+        yearKeys.forEach(year => {
+            const list = holidays[year];
+            if (!/^\d{4}$/.test(year)) {
+                errors.push(`${year}: 年の形式が正しくありません`);
+            }
+            if (!Array.isArray(list) || list.length === 0) {
+                errors.push(`${year}年: 祝日データがありません`);
+                return;
+            }
+
+            list.forEach(holiday => {
+                const date = holiday && holiday.date;
+                if (typeof date !== 'string' || !isValidDateKey(date)) {
+                    errors.push(`${year}年: 日付が正しくありません（${date}）`);
+                } else if (!date.startsWith(`${year}-`)) {
+                    errors.push(`${year}年: 別の年の日付が含まれています（${date}）`);
+                }
+                if (!holiday || typeof holiday.name !== 'string' || !holiday.name.trim()) {
+                    errors.push(`${year}年: 祝日名がありません（${date}）`);
+                }
+                if (seenDates.has(date)) {
+                    errors.push(`${date}: 同じ日付が重複しています`);
+                }
+                seenDates.add(date);
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`祝日データの検証に失敗\n  ${errors.join('\n  ')}`);
+        }
+        console.log('✅ 祝日データの検証完了');
+    }
+
+    /**
+     * 現在のJSONファイルの祝日データを読み込み（ファイルがない場合は空）
+     */
+    loadCurrentHolidays() {
+        if (!fs.existsSync(this.outputPath)) {
+            return {};
+        }
+        const data = JSON.parse(fs.readFileSync(this.outputPath, 'utf8'));
+        return data.holidays || {};
+    }
+
+    /**
+     * 取得した祝日データを現在のデータに反映
+     * 対象の年の範囲内は取得したデータで置き換え、範囲外の年は現在のデータをそのまま残す
+     * @param {Object} current - 現在のJSONファイルの祝日データ
+     * @param {Object} fetched - 取得した祝日データ
+     * @param {Object} years - 対象の年の範囲 { from, to }
+     */
+    mergeHolidays(current, fetched, years) {
+        const merged = {};
+        Object.keys(current)
+            .filter(year => Number(year) < years.from || Number(year) > years.to)
+            .forEach(year => { merged[year] = current[year]; });
+        Object.assign(merged, fetched);
+
+        // 年の順に並べる
+        return Object.keys(merged).sort().reduce((sorted, year) => {
+            sorted[year] = merged[year];
+            return sorted;
+        }, {});
+    }
+
+    /**
+     * 範囲外の年が変わっていないことを確認（変わっている場合は書き込まない）
+     * @returns {Array<string>} - 残した範囲外の年
+     */
+    checkKeptYears(current, merged, years) {
+        const keptYears = Object.keys(current).filter(year => Number(year) < years.from || Number(year) > years.to);
+        const changed = keptYears.filter(year => JSON.stringify(current[year]) !== JSON.stringify(merged[year]));
+        if (changed.length > 0) {
+            throw new Error(`対象外の年の祝日データが変更されています: ${changed.join(', ')}`);
+        }
+        return keptYears;
+    }
+
+    /**
+     * 祝日データの差分を取得
+     * @returns {{added: Array, removed: Array, renamed: Array}} - 追加・削除・名前の変更（日付順）
+     */
+    diffHolidays(current, next) {
+        const toMap = holidays => new Map(Object.values(holidays).flat().map(holiday => [holiday.date, holiday.name]));
+        const before = toMap(current);
+        const after = toMap(next);
+        const diff = { added: [], removed: [], renamed: [] };
+
+        after.forEach((name, date) => {
+            if (!before.has(date)) {
+                diff.added.push({ date, name });
+            } else if (before.get(date) !== name) {
+                diff.renamed.push({ date, from: before.get(date), to: name });
+            }
+        });
+        before.forEach((name, date) => {
+            if (!after.has(date)) {
+                diff.removed.push({ date, name });
+            }
+        });
+
+        Object.values(diff).forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+        return diff;
+    }
+
+    /**
+     * 差分を表示
+     */
+    showDiff(diff) {
+        console.log(`\n📝 ${path.relative(process.cwd(), this.outputPath)} との差分:`);
+
+        if (diff.added.length + diff.removed.length + diff.renamed.length === 0) {
+            console.log('  変更はありません');
+            return;
+        }
+
+        diff.added.forEach(holiday => console.log(`  + ${holiday.date} ${holiday.name}`));
+        diff.removed.forEach(holiday => console.log(`  - ${holiday.date} ${holiday.name}`));
+        diff.renamed.forEach(holiday => console.log(`  ~ ${holiday.date} ${holiday.from} → ${holiday.to}`));
+        console.log(`  追加 ${diff.added.length}件、削除 ${diff.removed.length}件、名前の変更 ${diff.renamed.length}件`);
+    }
 
     /**
      * JSONファイルを生成
@@ -125,10 +464,10 @@ class HolidayFetcher {
         console.log('💾 JSONファイルを生成中...');
 
         const outputData = {
-            lastUpdated: new Date().toISOString().split('T')[0],
+            lastUpdated: formatDateKey(new Date()),
             generatedBy: 'GitHub Actions',
-            dataSource: '内閣府「国民の祝日」について',
-            sourceUrl: this.csvUrl,
+            dataSource: this.source.dataSource,
+            sourceUrl: this.source.sourceUrl,
             holidays: holidays
         };
 
@@ -169,7 +508,8 @@ class HolidayFetcher {
         if (holidays[nextYear]) {
             console.log(`\n🎌 ${nextYear}年の主要祝日（抜粋）:`);
             holidays[nextYear].slice(0, 5).forEach(holiday => {
-                const date = new Date(holiday.date);
+                const [y, m, d] = holiday.date.split('-').map(Number);
+                const date = new Date(y, m - 1, d);
                 const weekday = ['日', '月', '火', '水', '木', '金', '土'][date.getDay()];
                 console.log(`  ${holiday.date} (${weekday}) - ${holiday.name}`);
             });
@@ -181,13 +521,31 @@ class HolidayFetcher {
 
     /**
      * メイン実行
+     * @param {Object} options - input: ローカルのCSVファイル, years: 対象の年の範囲, dryRun: 書き込まずに差分を表示
      */
-    async run() {
+    async run(options = {}) {
         try {
-            console.log('🚀 祝日データの取得を開始\n');
+            console.log(`🚀 祝日データの取得を開始（${this.source.id}）\n`);
+
+            const years = options.years || this.source.getDefaultYears();
+            const fetched = await this.source.fetchHolidays({ ...options, years });
+            this.validateHolidays(fetched, options.years);
+
+            // 対象の年だけを置き換え、それ以外の年は現在のファイルの内容を残す
+            const current = this.loadCurrentHolidays();
+            const holidays = this.mergeHolidays(current, fetched, years);
+            const keptYears = this.checkKeptYears(current, holidays, years);
+            if (keptYears.length > 0) {
+                console.log(`📌 対象外の年はそのまま残します: ${keptYears.join(', ')}`);
+            }
+
+            if (options.dryRun) {
+                const diff = this.diffHolidays(current, holidays);
+                this.showDiff(diff);
+                console.log('\n🔍 ドライランのためファイルは更新していません');
+                return diff;
+            }
 
-            const csvText = await this.fetchCSV();
-            const holidays = this.parseCSV(csvText);
             const outputData = await this.generateJSON(holidays);
             
             this.showStatistics(holidays);
@@ -202,10 +560,87 @@ class HolidayFetcher {
     }
 }
 
+/**
+ * コマンドライン引数を解析
+ *   --provider <jp|us|all>  対象のプロバイダー（既定: jp）
+ *   --input <file>          ダウンロードせずにローカルのCSVを使う（jpのみ、Shift_JIS・UTF-8）
+ *   --years <from>[-<to>]   対象の年の範囲（例: 2025-2027、2026）
+ *   --dry-run               ファイルを書き込まず、現在のJSONとの差分を表示
+ */
+function parseOptions(args) {
+    const options = { providerIds: ['jp'], input: null, years: null, dryRun: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const value = args[i + 1];
+
+        switch (args[i]) {
+            case '--provider':
+                if (value === 'all') {
+                    options.providerIds = Object.keys(holidaySources);
+                } else if (holidaySources[value]) {
+                    options.providerIds = [value];
+                } else {
+                    throw new Error(`不明なプロバイダー: ${value}（${Object.keys(holidaySources).join(', ')}, all のいずれか）`);
+                }
+                i++;
+                break;
+            case '--input':
+                if (!value || !fs.existsSync(value)) {
+                    throw new Error(`CSVファイルが見つかりません: ${value || '（未指定）'}`);
+                }
+                options.input = value;
+                i++;
+                break;
+            case '--years':
+                options.years = parseYearRange(value);
+                i++;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            default:
+                throw new Error(`不明なオプション: ${args[i]}`);
+        }
+    }
+
+    if (options.input && options.providerIds.some(id => id !== 'jp')) {
+        throw new Error('--input は日本の祝日（--provider jp）でのみ使えます');
+    }
+    return options;
+}
+
+/**
+ * 年の範囲（2025-2027 または 2026）を解析
+ */
+function parseYearRange(value) {
+    const match = /^(\d{4})(?:-(\d{4}))?$/.exec(value || '');
+    if (!match) {
+        throw new Error(`--years の形式が正しくありません: ${value || '（未指定）'}（例: 2025-2027、2026）`);
+    }
+
+    const from = Number(match[1]);
+    const to = match[2] ? Number(match[2]) : from;
+    if (from > to) {
+        throw new Error(`--years の開始年が終了年より後になっています: ${value}`);
+    }
+    return { from, to };
+}
+
 // スクリプトとして実行された場合
 if (require.main === module) {
-    const fetcher = new HolidayFetcher();
-    fetcher.run();
+    (async () => {
+        let options;
+        try {
+            options = parseOptions(process.argv.slice(2));
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        for (const id of options.providerIds) {
+            await new HolidayFetcher(new holidaySources[id]()).run(options);
+        }
+    })();
 }
 
-module.exports = HolidayFetcher;
\ No newline at end of file
+module.exports = { HolidayFetcher, JapanHolidaySource, UsHolidaySource, holidaySources, parseOptions };
\ No newline at end of file